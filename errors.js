@@ -0,0 +1,99 @@
+'use strict'
+
+const _ = require('lodash/fp')  // note fp variant
+
+/**
+ * Base class of all errors raised by LibratoApi.
+ *
+ * Like the StatusCodeError of request-promise it carries the HTTP statusCode (if there was a
+ * response at all) and the response body as error, which usually has the Librato API errors
+ * in error.errors, e.g. { errors: { params: { name: ['is not present'] } } }.
+ */
+class LibratoApiError extends Error {
+  constructor (message, statusCode, error, options, response) {
+    super(message)
+    this.name = this.constructor.name
+    this.statusCode = statusCode
+    this.error = error
+    this.options = options
+    this.response = response
+  }
+}
+
+/**
+ * The requested element does not exist (404), or no element with the given name was found.
+ */
+class NotFoundError extends LibratoApiError {}
+
+/**
+ * The request was rejected because of invalid parameters (400 or 422).
+ * The offending parameters are available in params, e.g. { name: ['is not present'] }.
+ */
+class ValidationError extends LibratoApiError {
+  constructor (message, statusCode, error, options, response) {
+    super(message, statusCode, error, options, response)
+    this.params = _.getOr({}, ['errors', 'params'], error)
+  }
+}
+
+/**
+ * The rate limit was exceeded (429).
+ */
+class RateLimitError extends LibratoApiError {}
+
+/**
+ * Authentication failed (401) or the token lacks permissions (403).
+ */
+class AuthError extends LibratoApiError {}
+
+/**
+ * Some of several operations failed, e.g. chart operations in createOrUpdateSpace.
+ * The individual failures are available in errors, and in error.errors as usual.
+ */
+class AggregateOperationError extends LibratoApiError {
+  constructor (message, errors) {
+    super(message, undefined, { errors })
+    this.errors = errors
+  }
+}
+
+const errorClassesByStatusCode = {
+  400: ValidationError,
+  401: AuthError,
+  403: AuthError,
+  404: NotFoundError,
+  422: ValidationError,
+  429: RateLimitError
+}
+const errorClassFor = statusCode => errorClassesByStatusCode[statusCode] || LibratoApiError
+
+/**
+ * Convert an error with a statusCode (like a StatusCodeError of request-promise)
+ * to an instance of the matching LibratoApiError class. Other errors are returned as is.
+ */
+const fromStatusCodeError = error => {
+  if (error instanceof LibratoApiError || !_.isNumber(error.statusCode)) { return error }
+  const ErrorClass = errorClassFor(error.statusCode)
+  return new ErrorClass(error.message, error.statusCode, error.error, error.options, error.response)
+}
+
+/**
+ * Create the LibratoApiError matching the statusCode of a response, with a message like
+ * the one of a StatusCodeError of request-promise.
+ */
+const fromResponse = (statusCode, body, options, response) => {
+  const ErrorClass = errorClassFor(statusCode)
+  const message = `${statusCode} - ${JSON.stringify(body)}`
+  return new ErrorClass(message, statusCode, body, options, response)
+}
+
+module.exports = {
+  LibratoApiError,
+  NotFoundError,
+  ValidationError,
+  RateLimitError,
+  AuthError,
+  AggregateOperationError,
+  fromStatusCodeError,
+  fromResponse
+}
@@ -0,0 +1,73 @@
+'use strict'
+
+const StatusCodeError = require('request-promise/errors').StatusCodeError
+
+const chai = require('chai')
+const expect = chai.expect
+
+const errors = require('./errors')
+
+describe('The LibratoApi errors', () => {
+  const statusCodeError = (statusCode, body) =>
+    new StatusCodeError(statusCode, body || { errors: {} }, { url: 'http://url/v1/foo' }, { headers: {} })
+
+  it('should be LibratoApiErrors and Errors with a name', function * () {
+    const error = new errors.NotFoundError('gone', 404)
+    expect(error).to.be.an.instanceof(errors.NotFoundError)
+      .and.an.instanceof(errors.LibratoApiError)
+      .and.an.instanceof(Error)
+    expect(error).to.have.property('name', 'NotFoundError')
+    expect(error).to.have.property('message', 'gone')
+    expect(error).to.have.property('statusCode', 404)
+    expect(error.stack).to.be.a('string')
+  })
+
+  it('should map status codes to error classes', function * () {
+    const classes = {
+      400: errors.ValidationError,
+      401: errors.AuthError,
+      403: errors.AuthError,
+      404: errors.NotFoundError,
+      422: errors.ValidationError,
+      429: errors.RateLimitError,
+      500: errors.LibratoApiError
+    }
+    Object.keys(classes).forEach(statusCode => {
+      const error = errors.fromStatusCodeError(statusCodeError(Number(statusCode)))
+      expect(error).to.have.property('name', classes[statusCode].name)
+      expect(error).to.have.property('statusCode', Number(statusCode))
+    })
+  })
+
+  it('should keep the properties of a StatusCodeError', function * () {
+    const original = statusCodeError(404, { errors: { request: ['not found'] } })
+    const error = errors.fromStatusCodeError(original)
+    expect(error).to.have.property('message', original.message)
+    expect(error).to.have.property('error', original.error)
+    expect(error).to.have.property('options', original.options)
+    expect(error).to.have.property('response', original.response)
+  })
+
+  it('should parse params of validation errors', function * () {
+    const body = { errors: { params: { name: ['is not present'] } } }
+    expect(errors.fromStatusCodeError(statusCodeError(400, body)))
+      .to.have.property('params').which.eql({ name: ['is not present'] })
+    expect(new errors.ValidationError('invalid', 400, 'no json'))
+      .to.have.property('params').which.eql({})
+  })
+
+  it('should leave other errors alone', function * () {
+    const plain = new Error('connection refused')
+    expect(errors.fromStatusCodeError(plain)).to.equal(plain)
+    const typed = new errors.AuthError('denied', 401)
+    expect(errors.fromStatusCodeError(typed)).to.equal(typed)
+  })
+
+  it('should collect errors of several operations', function * () {
+    const error = new errors.AggregateOperationError('some failed', ['a', 'b'])
+    expect(error).to.have.property('name', 'AggregateOperationError')
+    expect(error).to.have.property('errors').which.eql(['a', 'b'])
+    expect(error).to.have.nested.property('error.errors').which.eql(['a', 'b'])
+    expect(error).to.have.property('statusCode', undefined)
+  })
+})
@@ -0,0 +1,751 @@
+// Type definitions for librato-api
+//
+// These declarations follow index.js, errors.js and transports.js. Every public method of
+// LibratoApi and every compositeDSL function has to be declared here. types.spec.js checks
+// this. npm run typecheck compiles the declarations with the usage examples in
+// types.test-d.ts. Object shapes follow the Librato API documentation. Unknown properties are
+// allowed, since the API may return more than what is declared here.
+
+declare namespace librato {
+
+  // *** options ***
+
+  /** request-promise style options accepted by transports and most methods (as opts) */
+  interface RequestOptions {
+    url?: string
+    method?: string
+    headers?: { [name: string]: string }
+    qs?: { [name: string]: any }
+    auth?: { user?: string, pass?: string }
+    body?: any
+    json?: boolean
+    encoding?: string | null
+    resolveWithFullResponse?: boolean
+    simple?: boolean
+    timeout?: number
+    [option: string]: any
+  }
+
+  interface Response<T = any> {
+    statusCode: number
+    headers: { [name: string]: string | string[] | undefined }
+    body: T
+  }
+
+  /**
+   * A transport does the HTTP requests, see transports.js. Like request-promise the returned
+   * promise may emit 'response' with the response before it resolves.
+   */
+  interface Transport {
+    (options: RequestOptions): Promise<any> & {
+      on?: (event: 'response', listener: (response: Response) => void) => any
+    }
+  }
+
+  interface Logger {
+    error (...args: any[]): any
+    warn (...args: any[]): any
+    info (...args: any[]): any
+    verbose (...args: any[]): any
+    debug (...args: any[]): any
+    silly (...args: any[]): any
+  }
+
+  interface RetryOptions {
+    maxAttempts?: number
+    baseDelay?: number
+    maxDelay?: number
+    statusCodes?: number[]
+    methods?: string[]
+  }
+
+  interface SchedulerOptions {
+    concurrency?: number
+    reserve?: number
+  }
+
+  interface PaginationOptions {
+    concurrency?: number
+  }
+
+  interface JobOptions {
+    wait?: boolean
+    interval?: number
+    timeout?: number
+  }
+
+  interface PollOptions {
+    interval?: number
+    timeout?: number
+  }
+
+  interface Options {
+    serviceUrl?: string
+    auth?: { user?: string, pass?: string }
+    request?: Transport
+    logger?: Logger
+    retry?: RetryOptions
+    scheduler?: SchedulerOptions
+    pagination?: PaginationOptions
+    record?: string | ((recording: Recording) => void)
+    replay?: string | Recording[]
+    jobs?: JobOptions
+  }
+
+  /** A request with its response or error, as recorded by the Recorder */
+  interface Recording {
+    requestId: string
+    request: { method: string, url: string, qs?: { [name: string]: any }, body?: any }
+    response?: {
+      statusCode: number
+      headers?: { [name: string]: any }
+      body?: any
+      bodyBase64?: string
+    }
+    error?: { message: string, code?: string }
+  }
+
+  // *** API objects ***
+
+  interface Query {
+    offset?: number
+    length?: number
+    found?: number
+    total?: number
+    next_time?: number
+    [property: string]: any
+  }
+
+  /** A page of results as returned by the paginated API calls */
+  type Page<K extends string, T> = { query: Query } & { [key in K]: T[] }
+
+  interface MetricAttributes {
+    color?: string
+    display_max?: number
+    display_min?: number
+    display_units_long?: string
+    display_units_short?: string
+    display_stacked?: boolean
+    summarize_function?: string
+    aggregate?: boolean
+    [attribute: string]: any
+  }
+
+  interface Metric {
+    name: string
+    display_name?: string
+    type?: 'gauge' | 'counter' | 'composite'
+    description?: string
+    period?: number
+    source_lag?: number
+    composite?: string
+    attributes?: MetricAttributes
+    [property: string]: any
+  }
+
+  interface Measurement {
+    measure_time: number
+    value: number
+    count?: number
+    [property: string]: any
+  }
+
+  /** Measurements of a metric grouped by source */
+  interface MeasurementsBySource {
+    [source: string]: Measurement[]
+  }
+
+  interface MetricWithMeasurements extends Metric {
+    measurements: MeasurementsBySource
+    query?: Query
+  }
+
+  interface Tag {
+    name: string
+    values?: string[]
+    grouped?: boolean
+    dynamic?: boolean
+  }
+
+  /** Measurements of the tagged measurements beta API */
+  interface Series {
+    tags: { [name: string]: string }
+    measurements: Array<{ time: number, value: number, [property: string]: any }>
+    [property: string]: any
+  }
+
+  interface MeasurementsQuery {
+    start_time?: number
+    end_time?: number
+    duration?: number
+    resolution?: number
+    tags?: { [name: string]: string }
+    group_by?: string
+    group_by_function?: string
+    summary_function?: string
+    [parameter: string]: any
+  }
+
+  interface Stream {
+    id?: number
+    metric?: string
+    composite?: string
+    source?: string
+    group_function?: string
+    summary_function?: string
+    downsample_function?: string
+    tags?: Tag[]
+    color?: string
+    name?: string
+    units_short?: string
+    units_long?: string
+    min?: number
+    max?: number
+    transform_function?: string
+    period?: number
+    [property: string]: any
+  }
+
+  interface Chart {
+    id?: number
+    name: string
+    type?: 'line' | 'stacked' | 'bignumber'
+    streams?: Stream[]
+    min?: number
+    max?: number
+    label?: string
+    related_space?: number
+    [property: string]: any
+  }
+
+  interface Space {
+    id?: number
+    name: string
+    [property: string]: any
+  }
+
+  /** A full space including charts, as returned by dumpSpace and taken by createOrUpdateSpace */
+  interface SpaceDefinition {
+    name: string
+    charts: Chart[]
+    [property: string]: any
+  }
+
+  interface AlertCondition {
+    type: 'above' | 'below' | 'absent'
+    metric_name: string
+    source?: string
+    threshold?: number
+    duration?: number
+    summary_function?: string
+    tags?: Tag[]
+    [property: string]: any
+  }
+
+  interface Alert {
+    id?: number
+    name: string
+    title?: string
+    description?: string
+    conditions: AlertCondition[]
+    /** service ids, or for createOrUpdateAlert also service titles */
+    services: Array<number | string | Service>
+    attributes?: { runbook_url?: string, [attribute: string]: any }
+    active?: boolean
+    rearm_seconds?: number
+    rearm_per_signal?: boolean
+    [property: string]: any
+  }
+
+  interface Service {
+    id?: number
+    type: string
+    title: string
+    settings: { [setting: string]: any }
+    [property: string]: any
+  }
+
+  interface Source {
+    name: string
+    display_name?: string
+    [property: string]: any
+  }
+
+  interface ApiToken {
+    name?: string
+    token?: string
+    active?: boolean
+    role?: 'admin' | 'recorder' | 'viewer'
+    href?: string
+    [property: string]: any
+  }
+
+  interface AnnotationStream {
+    name: string
+    display_name?: string
+    events?: { [source: string]: AnnotationEvent[] }
+    [property: string]: any
+  }
+
+  interface AnnotationEvent {
+    id?: number
+    title: string
+    source?: string
+    description?: string
+    links?: Array<{ rel: string, href: string, label?: string }>
+    start_time?: number
+    end_time?: number
+    [property: string]: any
+  }
+
+  interface Snapshot {
+    href?: string
+    job_href?: string
+    image_href?: string | null
+    created_at?: string
+    subject: { chart: { id: number, source?: string, type?: string, [property: string]: any } }
+    duration?: number
+    end_time?: string | number
+    [property: string]: any
+  }
+
+  interface Job {
+    id: number
+    state: 'queued' | 'working' | 'complete' | 'failed' | 'canceled'
+    progress?: number
+    errors?: any
+    [property: string]: any
+  }
+
+  /** A getter taking opts and optional leading arguments, annotated for pagination */
+  interface PaginatedGetter {
+    (...args: any[]): Promise<any>
+    resultPath: string
+    mergeResults?: (acc: any, page: any) => any
+  }
+
+  /** Config as read from a config directory, see updateFromDir in the CLI */
+  interface RawConfig {
+    metrics?: any
+    spaces?: any
+    alerts?: any
+    services?: any
+    sources?: any
+    outdated?: Partial<OutdatedConfig>
+    template_values?: TemplateValues
+    prune?: OwnershipRule
+    [section: string]: any
+  }
+
+  /** Values by template variable, also __template_values__ of metrics, spaces and alerts */
+  interface TemplateValues {
+    /** combinations of values to leave out */
+    __exclude__?: { [name: string]: string | number }[]
+    /** templates of variables rendered from the others */
+    __derived__?: { [name: string]: string }
+    [name: string]: any
+  }
+
+  interface ExportOptions {
+    /** one metrics file per name prefix instead of a single file */
+    splitMetrics?: boolean
+  }
+
+  /** Elements are owned if any of prefixes, managed_by or owned match */
+  interface OwnershipRule {
+    /** of names, or titles of services */
+    prefixes?: string[]
+    /** the managed_by attribute of metrics and alerts */
+    managed_by?: string
+    /** names (or titles) by kind of element */
+    owned?: Partial<OutdatedConfig>
+    /** include metrics, default false */
+    metrics?: boolean
+  }
+
+  interface OutdatedConfig {
+    metrics: string[]
+    spaces: string[]
+    alerts: string[]
+    services: string[]
+    sources: string[]
+  }
+
+  interface Config {
+    metrics: Metric[]
+    spaces: SpaceDefinition[]
+    alerts: Alert[]
+    services: Service[]
+    sources: Source[]
+    outdated: OutdatedConfig
+  }
+
+  interface ApplyOptions {
+    /** reject with an AggregateOperationError of the failed items if any element failed */
+    strict?: boolean
+  }
+
+  interface ApplyItem {
+    name: string
+    action: 'delete' | 'update'
+    status: 'ok' | 'absent' | 'failed'
+    /** only for failed elements */
+    error?: { message: string, statusCode?: number, errors?: any }
+  }
+
+  interface ApplyReport {
+    metrics: ApplyItem[]
+    spaces: ApplyItem[]
+    alerts: ApplyItem[]
+    services: ApplyItem[]
+    sources: ApplyItem[]
+  }
+
+  type PlanAction = 'create' | 'update' | 'delete' | 'unchanged'
+
+  interface FieldChange {
+    /** dot separated, with indexes for array elements */
+    path: string
+    from: any
+    to: any
+  }
+
+  interface PlanItem {
+    name: string
+    action: PlanAction
+    /** only for updates */
+    changes?: FieldChange[]
+  }
+
+  interface SpacePlanItem extends PlanItem {
+    /** not for deletes */
+    charts?: PlanItem[]
+  }
+
+  interface Plan {
+    metrics: PlanItem[]
+    spaces: SpacePlanItem[]
+    alerts: PlanItem[]
+    services: PlanItem[]
+    sources: PlanItem[]
+  }
+
+  type DriftKind = 'missing' | 'modified' | 'outdated' | 'added'
+
+  interface DriftChange {
+    path: string
+    expected: any
+    actual: any
+  }
+
+  interface DriftItem {
+    name: string
+    /** 'added' only for charts */
+    drift: DriftKind
+    /** only for modified elements */
+    changes?: DriftChange[]
+  }
+
+  interface SpaceDriftItem extends DriftItem {
+    /** only for modified spaces */
+    charts?: DriftItem[]
+  }
+
+  interface Drift {
+    metrics: DriftItem[]
+    spaces: SpaceDriftItem[]
+    alerts: DriftItem[]
+    services: DriftItem[]
+    sources: DriftItem[]
+  }
+
+  // *** composite metrics mini-DSL ***
+
+  type CompositeOptions = { [option: string]: string | number } | undefined
+  type CompositeFn = (argOrArgSet: string | string[], options?: CompositeOptions) => string
+
+  interface CompositeDSL {
+    series (name: string, source?: string, options?: CompositeOptions): string
+    s (name: string, source?: string, options?: CompositeOptions): string
+    renderCompositeFn (name: string): CompositeFn
+    abs: CompositeFn
+    derive: CompositeFn
+    divide: CompositeFn
+    integrate: CompositeFn
+    max: CompositeFn
+    mean: CompositeFn
+    min: CompositeFn
+    moving_average: CompositeFn
+    multiply: CompositeFn
+    rate: CompositeFn
+    scale: CompositeFn
+    subtract: CompositeFn
+    sum: CompositeFn
+    window: CompositeFn
+    map: 'TODO'
+    timeshift: 'TODO'
+  }
+
+  // *** the client ***
+
+  interface LibratoApi {
+    serviceUrl: string
+    auth: { user?: string, pass?: string }
+    request: Transport
+    logger: Logger
+    retry: Required<RetryOptions>
+    jobs: Required<JobOptions>
+    pagination: Required<PaginationOptions>
+    scheduler: RequestScheduler
+    recorder: Recorder
+    compositeDSL: CompositeDSL
+
+    apiRequest (
+      path: Array<string | number>, opts?: RequestOptions, opts2?: RequestOptions
+    ): Promise<any>
+
+    getMetrics (opts?: RequestOptions): Promise<Page<'metrics', Metric>>
+    getMetric (name: string, opts?: RequestOptions): Promise<MetricWithMeasurements>
+    getMeasurements (
+      name: string, query?: MeasurementsQuery, opts?: RequestOptions
+    ): Promise<{ series: Series[], links?: any, resolution?: number, query?: Query }>
+    putMetric (name: string, params: Partial<Metric>, opts?: RequestOptions): Promise<any>
+    deleteMetric (name: string, opts?: RequestOptions): Promise<any>
+
+    getSpaces (opts?: RequestOptions): Promise<Page<'spaces', Space>>
+    getSpace (id: number, opts?: RequestOptions): Promise<Space>
+    postSpace (space: Space, opts?: RequestOptions): Promise<Space>
+    putSpace (id: number, space: Partial<Space>, opts?: RequestOptions): Promise<any>
+    deleteSpace (id: number, opts?: RequestOptions): Promise<any>
+
+    getCharts (spaceId: number, opts?: RequestOptions): Promise<Chart[]>
+    getChart (spaceId: number, id: number, opts?: RequestOptions): Promise<Chart>
+    postChart (spaceId: number, chart: Chart, opts?: RequestOptions): Promise<Chart>
+    putChart (
+      spaceId: number, id: number, chart: Partial<Chart>, opts?: RequestOptions
+    ): Promise<Chart>
+    deleteChart (spaceId: number, id: number, opts?: RequestOptions): Promise<any>
+
+    getAlerts (opts?: RequestOptions): Promise<Page<'alerts', Alert>>
+    getAlertsStatus (opts?: RequestOptions): Promise<{ cleared: any[], firing: any[] }>
+    getAlert (id: number, opts?: RequestOptions): Promise<Alert>
+    postAlert (alert: Alert, opts?: RequestOptions): Promise<Alert>
+    putAlert (id: number, alert: Partial<Alert>, opts?: RequestOptions): Promise<any>
+    deleteAlert (id: number, opts?: RequestOptions): Promise<any>
+
+    getServices (opts?: RequestOptions): Promise<Page<'services', Service>>
+    getService (id: number, opts?: RequestOptions): Promise<Service>
+    postService (service: Service, opts?: RequestOptions): Promise<Service>
+    putService (id: number, service: Partial<Service>, opts?: RequestOptions): Promise<any>
+    deleteService (id: number, opts?: RequestOptions): Promise<any>
+
+    getSources (opts?: RequestOptions): Promise<Page<'sources', Source>>
+    getSource (name: string, opts?: RequestOptions): Promise<Source>
+    putSource (name: string, params: Partial<Source>, opts?: RequestOptions): Promise<any>
+    deleteSource (name: string, opts?: RequestOptions): Promise<any>
+
+    getApiTokens (opts?: RequestOptions): Promise<Page<'api_tokens', ApiToken>>
+    getApiToken (name: string, opts?: RequestOptions): Promise<Page<'api_tokens', ApiToken>>
+    postApiToken (token: ApiToken, opts?: RequestOptions): Promise<ApiToken>
+    putApiToken (token: string, params: Partial<ApiToken>, opts?: RequestOptions): Promise<ApiToken>
+    deleteApiToken (token: string, opts?: RequestOptions): Promise<any>
+
+    getAnnotations (opts?: RequestOptions): Promise<Page<'annotations', AnnotationStream>>
+    getAnnotationStream (name: string, opts?: RequestOptions): Promise<AnnotationStream>
+    getAnnotationEvent (name: string, id: number, opts?: RequestOptions): Promise<AnnotationEvent>
+    postAnnotation (
+      name: string, event: AnnotationEvent, opts?: RequestOptions
+    ): Promise<AnnotationEvent>
+    putAnnotation (
+      name: string, params: Partial<AnnotationStream>, opts?: RequestOptions
+    ): Promise<any>
+    putAnnotationEvent (
+      name: string, id: number, event: Partial<AnnotationEvent>, opts?: RequestOptions
+    ): Promise<AnnotationEvent>
+    deleteAnnotation (name: string, opts?: RequestOptions): Promise<any>
+    deleteAnnotationEvent (name: string, id: number, opts?: RequestOptions): Promise<any>
+
+    postSnapshot (snapshot: Snapshot, opts?: RequestOptions): Promise<Snapshot>
+    getSnapshot (id: number | string, opts?: RequestOptions): Promise<Snapshot>
+    getJob (id: number, opts?: RequestOptions): Promise<Job>
+    waitForJob (jobOrId: Job | number, options?: PollOptions): Promise<Job>
+    waitForSnapshot (
+      snapshotOrId: Snapshot | number | string, options?: PollOptions
+    ): Promise<Snapshot>
+    getSnapshotImage (snapshot: Snapshot, opts?: RequestOptions): Promise<Buffer>
+
+    getAllPaginated (paginatedGetter: PaginatedGetter, opts?: RequestOptions): Promise<any[]>
+    getAllPaginatedKeyset (
+      paginatedGetter: PaginatedGetter, opts?: RequestOptions, ...args: any[]
+    ): Promise<any>
+    getAllMetrics (opts?: RequestOptions): Promise<Metric[]>
+    getAllSpaces (opts?: RequestOptions): Promise<Space[]>
+    getAllAlerts (opts?: RequestOptions): Promise<Alert[]>
+    getAllServices (opts?: RequestOptions): Promise<Service[]>
+    getAllSources (opts?: RequestOptions): Promise<Source[]>
+    getAllApiTokens (opts?: RequestOptions): Promise<ApiToken[]>
+    getAllAnnotations (opts?: RequestOptions): Promise<AnnotationStream[]>
+    getAllMeasurements (name: string, opts?: RequestOptions): Promise<MetricWithMeasurements>
+    getAllTaggedMeasurements (
+      name: string, query?: MeasurementsQuery, opts?: RequestOptions
+    ): Promise<{ series: Series[], [property: string]: any }>
+
+    iteratePaginated (
+      paginatedGetter: PaginatedGetter, opts?: RequestOptions
+    ): AsyncIterableIterator<any>
+    iteratePaginatedKeyset (
+      paginatedGetter: PaginatedGetter, opts?: RequestOptions, ...args: any[]
+    ): AsyncIterableIterator<any>
+    iterateMetrics (opts?: RequestOptions): AsyncIterableIterator<Metric>
+    iterateSpaces (opts?: RequestOptions): AsyncIterableIterator<Space>
+    iterateAlerts (opts?: RequestOptions): AsyncIterableIterator<Alert>
+    iterateServices (opts?: RequestOptions): AsyncIterableIterator<Service>
+    iterateSources (opts?: RequestOptions): AsyncIterableIterator<Source>
+    iterateMeasurements (
+      name: string, opts?: RequestOptions
+    ): AsyncIterableIterator<MeasurementsBySource>
+    iterateTaggedMeasurements (
+      name: string, query?: MeasurementsQuery, opts?: RequestOptions
+    ): AsyncIterableIterator<Series[]>
+
+    findSpaceByName (name: string): Promise<Space>
+    findAlertByName (name: string): Promise<Alert>
+    findServiceByTitle (title: string): Promise<Service>
+    findChartByName (spaceId: number, name: string): Promise<Chart>
+
+    dumpSpace (name: string): Promise<SpaceDefinition>
+    createOrUpdateSpace (newSpace: SpaceDefinition): Promise<void>
+    dumpAlert (name: string): Promise<Alert>
+    dumpService (title: string): Promise<Service>
+    createOrUpdateAlert (newAlert: Alert): Promise<Alert>
+    createOrUpdateService (newService: Service): Promise<Service>
+
+    exportConfig (options?: ExportOptions): Promise<RawConfig>
+    applyConfig (config: Config, options?: ApplyOptions): Promise<ApplyReport>
+    checkReferences (config: Config, options?: { live?: boolean }): Promise<ConfigProblem[]>
+    planConfig (config: Config): Promise<Plan>
+    checkDrift (config: Config): Promise<Drift>
+    findUnmanaged (config: Config, rule: OwnershipRule): Promise<OutdatedConfig>
+  }
+
+  interface LibratoApiConstructor {
+    new (options?: Options): LibratoApi
+    readonly prototype: LibratoApi
+  }
+
+  interface RequestScheduler {
+    concurrency: number
+    reserve: number
+    remaining: number
+    reset: number
+    schedule<T> (task: () => T | Promise<T>): Promise<T>
+    update (headers?: { [name: string]: any }): void
+  }
+
+  interface Recorder {
+    send (transport: Transport, options: RequestOptions, requestId: string): Promise<any>
+  }
+
+  // *** errors ***
+
+  interface LibratoApiError extends Error {
+    statusCode?: number
+    /** the response body, usually with the Librato API errors in error.errors */
+    error?: any
+    options?: RequestOptions
+    response?: Response
+  }
+
+  interface ValidationError extends LibratoApiError {
+    params: { [param: string]: string[] }
+  }
+
+  interface AggregateOperationError extends LibratoApiError {
+    errors: any[]
+  }
+
+  type ErrorConstructor<T> = new (
+    message: string,
+    statusCode?: number,
+    error?: any,
+    options?: RequestOptions,
+    response?: Response
+  ) => T
+
+  interface Errors {
+    LibratoApiError: ErrorConstructor<LibratoApiError>
+    NotFoundError: ErrorConstructor<LibratoApiError>
+    ValidationError: ErrorConstructor<ValidationError>
+    RateLimitError: ErrorConstructor<LibratoApiError>
+    AuthError: ErrorConstructor<LibratoApiError>
+    AggregateOperationError: new (message: string, errors: any[]) => AggregateOperationError
+    fromStatusCodeError<T> (error: T): T | LibratoApiError
+    fromResponse (
+      statusCode: number, body: any, options?: RequestOptions, response?: Response
+    ): LibratoApiError
+  }
+
+  // *** transports ***
+
+  /** headers as sent by the transports */
+  type RequestHeaders = { [name: string]: string | number }
+
+  type Fetch = (
+    url: string,
+    init: { method: string, headers: RequestHeaders, body?: any }
+  ) => Promise<{
+    status: number
+    headers: any
+    arrayBuffer (): Promise<ArrayBuffer>
+  }>
+
+  interface Transports {
+    https (defaults?: RequestOptions): Transport
+    fetch (fetch?: Fetch, defaults?: RequestOptions): Transport
+    requestPromise (requestPromise: (options: RequestOptions) => any): Transport
+    create (send: RawSend, defaults?: RequestOptions): Transport
+  }
+
+  /** Takes the options, the serialized body and headers, resolves with the body as Buffer */
+  type RawSend = (
+    options: RequestOptions,
+    body: string | Buffer | undefined,
+    headers: RequestHeaders
+  ) => Promise<Response<Buffer>>
+
+  // *** config validation ***
+
+  interface ConfigProblem {
+    /** a JSON Pointer into the file contents, or into the config */
+    pointer: string
+    message: string
+  }
+
+  interface RawConfigProblem extends ConfigProblem {
+    /** the path of the file in the config dir without extension, e.g. metrics/system */
+    file: string
+  }
+
+  interface Validation {
+    /** JSON Schemas by config dir section, e.g. metrics for a single metric */
+    schemas: { [section: string]: object }
+    validateRawConfig (rawConfig: RawConfig): RawConfigProblem[]
+    validateConfig (config: Config): ConfigProblem[]
+    checkReferences (
+      config: Config, live?: { metrics?: Metric[], services?: Service[] }
+    ): ConfigProblem[]
+  }
+}
+
+/**
+ * At the root this package is a ready to use LibratoApi instance with default options,
+ * the class constructor is available as LibratoApi.
+ */
+declare const librato: librato.LibratoApi & {
+  LibratoApi: librato.LibratoApiConstructor
+  errors: librato.Errors
+  transports: librato.Transports
+  validation: librato.Validation
+}
+
+export = librato
@@ -4,16 +4,124 @@ const _ = require('lodash/fp')  // note fp variant
 const assert = require('assert')
 const co = require('co')
 const combinatorics = require('js-combinatorics')
-const request = require('request-promise')
-const StatusCodeError = require('request-promise/errors').StatusCodeError
+const errors = require('./errors')
+const Recorder = require('./recorder')
+const RequestScheduler = require('./scheduler')
+const transports = require('./transports')
 const uuid = require('uuid')
+const validation = require('./validation')
 const winston = require('winston')
 
 const post = body => ({ method: 'POST', body })
 const put = body => ({ method: 'PUT', body })
 const del = { method: 'DELETE' }
-const noSuch = (what, name) => { throw new StatusCodeError(404, `no ${what} named ${name}`) }
+const errorWithErrors = (ErrorClass, message, errs) =>
+  new ErrorClass(message, undefined, { errors: errs })
+const noSuch = (what, name) => {
+  const message = `no ${what} named ${name}`
+  throw new errors.NotFoundError(message, 404, { errors: { request: [message] } })
+}
 const resultOrNoSuch = _.curry((what, name, obj) => _.isUndefined(obj) ? noSuch(what, name) : obj)
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+// delay before the next attempt: honour Retry-After (seconds or HTTP date) if present,
+// else exponential backoff with full jitter
+const retryDelay = (retry, error, attempt) => {
+  const retryAfter = _.get(['response', 'headers', 'retry-after'], error)
+  const retryAfterMs = _.isUndefined(retryAfter) ? NaN
+    : /^\d+$/.test(retryAfter) ? Number(retryAfter) * 1000
+      : Date.parse(retryAfter) - Date.now()
+  const backoff = Math.min(retry.maxDelay, retry.baseDelay * Math.pow(2, attempt - 1))
+  return _.isNaN(retryAfterMs) ? Math.round(Math.random() * backoff) : Math.max(0, retryAfterMs)
+}
+
+const jobStates = ['queued', 'working', 'complete', 'failed', 'canceled']
+const jobKeys = ['id', 'state', 'progress', 'output', 'errors']
+// a job monitor as returned with status 202, there is no other way to recognize it in a body
+const isJob = result =>
+  _.isPlainObject(result) &&
+  _.isNumber(result.id) &&
+  _.includes(result.state, jobStates) &&
+  _.every(k => _.includes(k, jobKeys), _.keys(result))
+// default keyset page merge: objects of arrays, e.g. legacy measurements by source
+const mergeMeasurementsBySource = (acc, data) => {
+  const keys = _.uniq(_.concat(_.keys(acc), _.keys(data)))
+  const concatKey = (newAcc, key) =>
+    _.set([key], _.concat(_.getOr([], [key], acc), _.getOr([], [key], data)), newAcc)
+  return _.reduce(concatKey, {}, keys)
+}
+
+// keyset page merge for tagged measurements: arrays of series, merged by equal tags
+const mergeSeries = (acc, data) => {
+  const addSeries = (merged, series) => {
+    const i = _.findIndex(s => _.isEqual(s.tags, series.tags), merged)
+    return i < 0
+      ? _.concat(merged, [series])
+      : _.set([i, 'measurements'], _.concat(merged[i].measurements, series.measurements), merged)
+  }
+  return _.reduce(addSeries, acc || [], data || [])
+}
+
+// maps fn over items with at most limit results pending at a time, keeping their order
+const mapLimit = (limit, fn, items) => {
+  const results = []
+  let index = 0
+  const work = () => {
+    if (index >= items.length) { return Promise.resolve() }
+    const i = index++
+    return Promise.resolve(fn(items[i])).then(result => {
+      results[i] = result
+      return work()
+    })
+  }
+  return Promise.all(_.times(work, Math.min(limit, items.length))).then(() => results)
+}
+
+// for await support, Symbol.asyncIterator is missing before node 10
+const asyncIteratorSymbol = Symbol.asyncIterator || Symbol.for('Symbol.asyncIterator')
+
+/**
+ * Create an async iterator over the items of pages, which fetches the next page only when
+ * the items of the previous one are used up. Calls to next are served in order.
+ *
+ * @param fetchPage {function} (cursor) => Promise of { items, cursor }, where an undefined
+ *   cursor marks the last page
+ * @param firstCursor cursor of the first page
+ */
+const createPageIterator = (fetchPage, firstCursor) => {
+  let items = []
+  let cursor = firstCursor
+  let finished = false
+  let pending = Promise.resolve()
+
+  const pull = () => {
+    if (items.length > 0) { return { value: items.shift(), done: false } }
+    if (finished) { return { value: undefined, done: true } }
+    return fetchPage(cursor).then(page => {
+      items = _.toArray(page.items)
+      cursor = page.cursor
+      finished = _.isUndefined(cursor)
+      return pull()
+    })
+  }
+  const iterator = {
+    next: () => {
+      const result = pending.then(pull)
+      pending = result.catch(_.noop)
+      return result
+    },
+    // early termination, e.g. by break in for await
+    return: value => {
+      items = []
+      finished = true
+      return Promise.resolve({ value, done: true })
+    },
+    [asyncIteratorSymbol]: () => iterator
+  }
+  return iterator
+}
+
+const isJobFinished = job => !_.includes(job.state, ['queued', 'working'])
 
 /**
  * An API client for the Librato (management) API.
@@ -24,12 +132,32 @@ const resultOrNoSuch = _.curry((what, name, obj) => _.isUndefined(obj) ? noSuch(
  * @param options {object} A plain object, which allows to override the following properties:
  *   - serviceUrl (String): the base of the service URL
  *   - auth (object): passed to the underlying request handler in each request
- *   - request: the underlying request-promise object, may be used to set defaults
+ *   - request (function): the transport doing the HTTP requests, default transports.https(),
+ *     see transports.js for alternatives (e.g. request-promise) and the supported options
  *   - logger: use a custom logger, else try winston.loggers.LibratoAPi or root winston
+ *   - retry (object): retry policy for failed requests, with the following properties:
+ *     - maxAttempts (number): attempts per request including the first one, default 3
+ *     - baseDelay (number): milliseconds for exponential backoff (with jitter), default 500
+ *     - maxDelay (number): upper limit of the backoff delay in milliseconds, default 30000,
+ *       requests with a longer Retry-After are not retried
+ *     - statusCodes (Array): status codes to retry, default 429, 500, 502, 503 and 504
+ *     - methods (Array): (idempotent) methods to retry, default GET, HEAD, OPTIONS, PUT, DELETE
+ *   - scheduler (object): request scheduling, see RequestScheduler, with the following properties:
+ *     - concurrency (number): max requests in flight, default 10
+ *     - reserve (number): rate limit budget left untouched before queueing requests, default 5
+ *   - pagination (object): pagination helper options, with the following properties:
+ *     - concurrency (number): max pages getAllPaginated fetches in parallel, default 1
+ *   - record (string|function): record all requests and responses to a NDJSON file or a
+ *     function, see Recorder
+ *   - replay (string|Array): serve requests from recordings instead of the network, see Recorder
+ *   - jobs (object): long running job handling, with the following properties:
+ *     - wait (boolean): let apiRequest poll returned jobs until they finish, default false
+ *     - interval (number): milliseconds between polls, default 1000
+ *     - timeout (number): milliseconds until waiting for a job fails, default 300000
  *
  * @see https://www.librato.com/docs/api/?shell#introduction
  *
- * @TODO The API is only partially covered, and there is no long running jobs support yet.
+ * @TODO The API is only partially covered.
  *
  * @author Jürgen Strobel <juergen.strobel@emarsys.com>
  */
@@ -39,30 +167,54 @@ class LibratoApi {
     const o = options || {}
     this.serviceUrl = o.serviceUrl || 'https://metrics-api.librato.com/v1'
     this.auth = o.auth || { user: process.env.LIBRATO_USER, pass: process.env.LIBRATO_TOKEN }
-    this.request = o.request || request
+    this.request = o.request || transports.https()
     this.logger = o.logger || winston.loggers.LibratoApi || winston
+    this.retry = _.assign({
+      maxAttempts: 3,
+      baseDelay: 500,
+      maxDelay: 30000,
+      statusCodes: [429, 500, 502, 503, 504],
+      methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']
+    }, o.retry)
+    this.jobs = _.merge({ wait: false, interval: 1000, timeout: 300000 }, o.jobs)
+    this.pagination = _.merge({ concurrency: 1 }, o.pagination)
+    this.scheduler = new RequestScheduler(o.scheduler, this.logger)
+    this.recorder = new Recorder(_.pick(['record', 'replay'], o), this.logger)
   }
 
   // *** straight API calls ***
 
   /**
-   * Do a single API request and return the result from the underlying request-promise.
+   * Do a single API request and return the result from the underlying transport.
    *
    * All items of the path array are appended to this.serviceUrl, this.auth is inserted
    * into the request object, and both opts and opts2 are merged into the request object.
+   * Methods with fixed request options (like method and body) pass their per-call options
+   * in opts2.
    *
-   * Returns a promise as created by request-promise. Many other methods call this one
+   * Returns a promise as created by the transport. Many other methods call this one
    * eventually and return its result directly, so you should expect to get the errors,
    * result wrappers for pagination and job monitors as described in the Librato API.
+   * Errors with a status code are rejected as a LibratoApiError subclass (see errors.js)
+   * matching the status code, with statusCode and error (body) like a StatusCodeError.
+   *
+   * The transport and the given options may change several aspects of this method,
+   * e.g. via resolveWithFullResponse: true or simple: false.
    *
-   * The underlying request-promise and the given options may change several aspects of
-   * this method, e.g. via resolveWithFullResponse: true or simple: false.
+   * Requests are recorded or replayed by this.recorder if configured, see Recorder.
+   * Requests are run by this.scheduler, which limits concurrency and queues requests when the
+   * rate limit reported in response headers is reached. Failed requests are retried according
+   * to this.retry, each retry is logged on warn.
+   *
+   * If this.jobs.wait is set and the result is a job monitor (usually with status 202),
+   * the returned promise resolves only after the job completed, see waitForJob.
    *
    * The request is logged on debug, the result on silly (with a UUID).
    */
   apiRequest (path, opts, opts2) {
     const requestId = uuid.v4()
-    const options = _.merge(
+    // lodash/fp merge is capped to 2 arguments, so use mergeAll
+    const options = _.mergeAll([
       {
         url: [this.serviceUrl, ...path].join('/'),
         auth: this.auth,
@@ -70,18 +222,50 @@ class LibratoApi {
       },
       opts || {},
       opts2 || {}
-    )
+    ])
     const logResult = result => {
       this.logger.silly('LibratoAPI#apiRequest result', { result, requestId })
       return result
     }
-    const logErrorRethrow = error => {
+    const logErrorRethrow = originalError => {
+      const error = errors.fromStatusCodeError(originalError)
       this.logger.silly('LibratoAPI#apiRequest error', { error, requestId })
       throw error
     }
 
+    const maybeWaitForJob = result =>
+      this.jobs.wait && path[0] !== 'jobs' && isJob(result)
+        ? this.waitForJob(result)
+        : result
+
+    const method = _.toUpper(options.method || 'GET')
+    const isRetryable = (error, attempt) =>
+      attempt < this.retry.maxAttempts &&
+      _.includes(error.statusCode, this.retry.statusCodes) &&
+      _.includes(method, this.retry.methods)
+    const updateRateLimit = headers => this.scheduler.update(headers)
+    const send = () => {
+      const pendingRequest = this.recorder.send(this.request, options, requestId)
+      // transports expose the response before resolving, custom ones may not
+      if (_.isFunction(pendingRequest.on)) {
+        pendingRequest.on('response', response => updateRateLimit(response.headers))
+      }
+      return pendingRequest
+    }
+    const attemptRequest = attempt => this.scheduler.schedule(send).catch(error => {
+      updateRateLimit(_.get(['response', 'headers'], error))
+      if (!isRetryable(error, attempt)) { throw error }
+      const wait = retryDelay(this.retry, error, attempt)
+      // rather give up than wait longer than maxDelay for a Retry-After
+      if (wait > this.retry.maxDelay) { throw error }
+      this.logger.warn('LibratoAPI#apiRequest retry', {
+        requestId, attempt, statusCode: error.statusCode, delay: wait
+      })
+      return delay(wait).then(() => attemptRequest(attempt + 1))
+    })
+
     this.logger.debug('LibratoAPI#apiRequest', { path, opts, opts2, requestId })
-    return this.request(options).then(logResult).catch(logErrorRethrow)
+    return attemptRequest(1).then(logResult).catch(logErrorRethrow).then(maybeWaitForJob)
   }
 
   // single direct API calls
@@ -104,6 +288,19 @@ class LibratoApi {
     return this.apiRequest(['metrics', name], opts)
   }
 
+  /**
+   * Get tagged measurements of a metric (Measurements Beta).
+   *
+   * The query is passed as query string, e.g.
+   * { tags: { region: 'us-east' }, group_by: 'region', resolution: 60, duration: 3600 }
+   * with tags being serialized as tags[region]=us-east.
+   *
+   * Note: This is paginated by time, see getAllTaggedMeasurements.
+   */
+  getMeasurements (name, query, opts) {
+    return this.apiRequest(['measurements', name], { qs: query || {} }, opts)
+  }
+
   /**
    * Put a single metric by name. This may be used to create or update a metric.
    * Check error.errors.params in case of problems.
@@ -304,6 +501,193 @@ class LibratoApi {
     return this.apiRequest(['sources', name], del, opts)
   }
 
+  /**
+   * Get API tokens (paginated).
+   */
+  getApiTokens (opts) {
+    return this.apiRequest(['api_tokens'], opts)
+  }
+
+  /**
+   * Get API tokens matching a name (which may contain wildcards).
+   */
+  getApiToken (name, opts) {
+    return this.apiRequest(['api_tokens', name], opts)
+  }
+
+  /**
+   * Create a new API token.
+   * @param token request object, e.g. { name, role } with role one of admin, recorder or viewer.
+   */
+  postApiToken (token, opts) {
+    return this.apiRequest(['api_tokens'], post(token), opts)
+  }
+
+  /**
+   * Update an API token (its name, role or active flag) by the token itself.
+   * @param params request object.
+   */
+  putApiToken (token, params, opts) {
+    return this.apiRequest(['api_tokens', token], put(params), opts)
+  }
+
+  /**
+   * Delete an API token by the token itself.
+   */
+  deleteApiToken (token, opts) {
+    return this.apiRequest(['api_tokens', token], del, opts)
+  }
+
+  /**
+   * Get annotation streams (paginated).
+   */
+  getAnnotations (opts) {
+    return this.apiRequest(['annotations'], opts)
+  }
+
+  /**
+   * Get a single annotation stream by name, including its events.
+   * Use opts to pass a query string ({ qs: { start_time: ..., end_time: ... }}).
+   */
+  getAnnotationStream (name, opts) {
+    return this.apiRequest(['annotations', name], opts)
+  }
+
+  /**
+   * Get a single annotation event by stream name and event id.
+   */
+  getAnnotationEvent (name, id, opts) {
+    return this.apiRequest(['annotations', name, id], opts)
+  }
+
+  /**
+   * Post a new annotation event to the named stream. The stream is created on demand.
+   * @param event request object, e.g. { title, description, source, start_time, links }.
+   */
+  postAnnotation (name, event, opts) {
+    return this.apiRequest(['annotations', name], post(event), opts)
+  }
+
+  /**
+   * Update an annotation stream (e.g. its display_name).
+   * @param params request object.
+   */
+  putAnnotation (name, params, opts) {
+    return this.apiRequest(['annotations', name], put(params), opts)
+  }
+
+  /**
+   * Update a single annotation event by stream name and event id.
+   * @param event request object.
+   */
+  putAnnotationEvent (name, id, event, opts) {
+    return this.apiRequest(['annotations', name, id], put(event), opts)
+  }
+
+  /**
+   * Delete an annotation stream by name, including all its events.
+   */
+  deleteAnnotation (name, opts) {
+    return this.apiRequest(['annotations', name], del, opts)
+  }
+
+  /**
+   * Delete a single annotation event by stream name and event id.
+   */
+  deleteAnnotationEvent (name, id, opts) {
+    return this.apiRequest(['annotations', name, id], del, opts)
+  }
+
+  /**
+   * Post a new snapshot of a chart, e.g.
+   * { subject: { chart: { id, source, type } }, duration: 3600, end_time: ... }
+   * The image is rendered asynchronously, see waitForSnapshot.
+   */
+  postSnapshot (snapshot, opts) {
+    return this.apiRequest(['snapshots'], post(snapshot), opts)
+  }
+
+  /**
+   * Get a single snapshot by id.
+   */
+  getSnapshot (id, opts) {
+    return this.apiRequest(['snapshots', id], opts)
+  }
+
+  /**
+   * Get the state of a long running job by id.
+   */
+  getJob (id, opts) {
+    return this.apiRequest(['jobs', id], opts)
+  }
+
+  // *** long running jobs ***
+
+  // Calls fetch repeatedly (waiting options.interval ms in between) until its result
+  // satisfies isDone, or fails after options.timeout ms. Defaults are taken from this.jobs.
+  _poll (what, fetch, isDone, options) {
+    const o = _.merge(_.pick(['interval', 'timeout'], this.jobs), options)
+    const deadline = Date.now() + o.timeout
+    const timedOut = () => errorWithErrors(
+      errors.LibratoApiError,
+      `${what} did not finish within ${o.timeout}ms`,
+      { request: [`timeout waiting for ${what}`] }
+    )
+    const next = () => fetch().then(result =>
+      isDone(result) ? result
+        : Date.now() + o.interval >= deadline ? Promise.reject(timedOut())
+          : delay(o.interval).then(next)
+    )
+    return next()
+  }
+
+  /**
+   * Poll a long running job until it is finished and return (a Promise of) the final job.
+   * The Promise is rejected if the job failed, was canceled or did not finish in time,
+   * with the job errors in error.errors like in other API calls.
+   *
+   * @param jobOrId {object|number} A job as returned by the API or its id.
+   * @param options {object} Optional interval and timeout in ms, defaults from this.jobs.
+   */
+  waitForJob (jobOrId, options) {
+    const id = _.isObject(jobOrId) ? jobOrId.id : jobOrId
+    const failed = job => errorWithErrors(
+      errors.LibratoApiError,
+      `job ${id} ${job.state}`,
+      job.errors || { request: [`job ${job.state}`] }
+    )
+    const completeOrFail = job => {
+      if (job.state !== 'complete') { throw failed(job) }
+      return job
+    }
+    return this._poll(`job ${id}`, () => this.getJob(id), isJobFinished, options)
+      .then(completeOrFail)
+  }
+
+  /**
+   * Poll a snapshot until its image is rendered and return (a Promise of) the final snapshot
+   * with image_href. The Promise is rejected if the image is not available in time.
+   *
+   * @param snapshotOrId {object|number} A snapshot as returned by postSnapshot or its id.
+   * @param options {object} Optional interval and timeout in ms, defaults from this.jobs.
+   */
+  waitForSnapshot (snapshotOrId, options) {
+    const id = _.isObject(snapshotOrId) ? _.last(_.split('/', snapshotOrId.href)) : snapshotOrId
+    return this._poll(`snapshot ${id}`, () => this.getSnapshot(id), _.get('image_href'), options)
+  }
+
+  /**
+   * Download the rendered image of a snapshot (see waitForSnapshot) and return (a Promise of)
+   * a Buffer with the PNG data. This is no API call, so no auth is sent along.
+   */
+  getSnapshotImage (snapshot, opts) {
+    const options = _.merge({ url: snapshot.image_href, encoding: null }, opts)
+    this.logger.debug('LibratoAPI#getSnapshotImage', { options })
+    return Promise.resolve(this.recorder.send(this.request, options, uuid.v4())).catch(error => {
+      throw errors.fromStatusCodeError(error)
+    })
+  }
+
   // *** pagination iteration helpers ***
 
   /**
@@ -312,21 +696,35 @@ class LibratoApi {
    * parts into an array (in a Promise).
    * The caller is responsible for passing valid parameters not messing with this process,
    * but notable may use all pagination options except "offset".
+   *
+   * If this.pagination.concurrency is greater than 1, all remaining pages are fetched in
+   * parallel (at most that many at a time) after the first page, based on its query
+   * information. The result is the same, as long as the data does not change meanwhile.
    */
   getAllPaginated (paginatedGetter, opts) {
     assert(paginatedGetter.resultPath, 'invalid paginatedGetter')
     const getPage = paginatedGetter.bind(this)
     const unwrapPage = _.get(paginatedGetter.resultPath)
+    const concurrency = this.pagination.concurrency
     const optsWithOffset = offset => _.merge(opts, { qs: { offset } })
+    const getPart = offset => getPage(optsWithOffset(offset))
     const getNextPart = (acc, offset) =>
-      getPage(optsWithOffset(offset)).then(resultOrContinue(acc))
+      getPart(offset).then(resultOrContinue(acc))
     const resultOrContinue = acc => page => {
       const newAcc = _.concat(acc, unwrapPage(page))
       const nextOffset = page.query.offset + page.query.length
       const isLastPage = nextOffset >= page.query.found
       return isLastPage ? newAcc : getNextPart(newAcc, nextOffset)
     }
-    return getNextPart([], 0)
+    const getRemainingPartsParallel = firstPage => {
+      const q = firstPage.query
+      const offsets = q.length > 0 ? _.rangeStep(q.length, q.offset + q.length, q.found) : []
+      return mapLimit(concurrency, offset => getPart(offset).then(unwrapPage), offsets)
+        .then(parts => _.concat(unwrapPage(firstPage), _.flatten(parts)))
+    }
+    return concurrency > 1
+      ? getPart(0).then(getRemainingPartsParallel)
+      : getNextPart([], 0)
   }
 
   /**
@@ -339,6 +737,8 @@ class LibratoApi {
    *
    * @param {function} paginatedGetter - fetches paginated data from Librato
    * @param {string} paginatedGetter.resultPath
+   * @param {function} [paginatedGetter.mergeResults] - merges (acc, data) of pages, where acc is
+   *   undefined for the first page, default merges objects of arrays (e.g. measurements by source)
    * @param {object} opts - options passed in request to Librato
    * @param {Array.<*>} [args] - optional arguments passed to paginatedGetter
    */
@@ -351,14 +751,7 @@ class LibratoApi {
     const optsWithStartTime = startTime =>
       startTime ? _.merge(opts, { qs: { start_time: startTime } }) : opts
 
-    const mergeResults = (acc, data) => {
-      const keys = _.concat(_.keys(acc), _.keys(data))
-
-      return keys.reduce((newAcc, key) => {
-        newAcc[key] = _.concat(acc[key] || [], data[key] || [])
-        return newAcc
-      }, {})
-    }
+    const mergeResults = paginatedGetter.mergeResults || mergeMeasurementsBySource
 
     const mergeMetadata = (page, acc) =>
       _.set(paginatedGetter.resultPath, acc, page)
@@ -377,7 +770,7 @@ class LibratoApi {
     const getNextPart = (acc, startTime) =>
       getPage(optsWithStartTime(startTime)).then(resultOrContinue(acc))
 
-    return getNextPart({})
+    return getNextPart(undefined)
   }
 
   getAllMetrics (opts) {
@@ -400,10 +793,87 @@ class LibratoApi {
     return this.getAllPaginated(this.getSources, opts)
   }
 
+  getAllApiTokens (opts) {
+    return this.getAllPaginated(this.getApiTokens, opts)
+  }
+
+  getAllAnnotations (opts) {
+    return this.getAllPaginated(this.getAnnotations, opts)
+  }
+
   getAllMeasurements (name, opts) {
     return this.getAllPaginatedKeyset(this.getMetric, opts, name)
   }
 
+  getAllTaggedMeasurements (name, query, opts) {
+    return this.getAllPaginatedKeyset(this.getMeasurements, opts, name, query)
+  }
+
+  /**
+   * Returns an async iterator over all items of paginated results, like getAllPaginated does,
+   * but fetches pages only on demand. Call return on the iterator (or break a for await loop)
+   * to stop early. Without for await use it like: iterator.next().then(({ value, done }) => ...)
+   */
+  iteratePaginated (paginatedGetter, opts) {
+    assert(paginatedGetter.resultPath, 'invalid paginatedGetter')
+    const getPage = paginatedGetter.bind(this)
+    const unwrapPage = _.get(paginatedGetter.resultPath)
+    const fetchPage = offset =>
+      getPage(_.merge(opts, { qs: { offset } })).then(page => {
+        const nextOffset = page.query.offset + page.query.length
+        const isLastPage = nextOffset >= page.query.found
+        return { items: unwrapPage(page), cursor: isLastPage ? undefined : nextOffset }
+      })
+    return createPageIterator(fetchPage, 0)
+  }
+
+  /**
+   * Returns an async iterator over time based pages like getAllPaginatedKeyset steps through,
+   * yielding the data of each page at paginatedGetter.resultPath (e.g. measurements by source).
+   * The same conditions as in getAllPaginatedKeyset apply.
+   */
+  iteratePaginatedKeyset (paginatedGetter, opts, ...args) {
+    assert(paginatedGetter.resultPath, 'invalid paginatedGetter')
+    const getPage = paginatedGetter.bind(this, ...args)
+    const unwrapPage = _.get(paginatedGetter.resultPath)
+    const optsWithStartTime = startTime =>
+      startTime ? _.merge(opts, { qs: { start_time: startTime } }) : opts
+    const fetchPage = startTime =>
+      getPage(optsWithStartTime(startTime)).then(page => ({
+        items: [unwrapPage(page)],
+        cursor: _.get('query.next_time', page)
+      }))
+    return createPageIterator(fetchPage, undefined)
+  }
+
+  iterateMetrics (opts) {
+    return this.iteratePaginated(this.getMetrics, opts)
+  }
+
+  iterateSpaces (opts) {
+    return this.iteratePaginated(this.getSpaces, opts)
+  }
+
+  iterateAlerts (opts) {
+    return this.iteratePaginated(this.getAlerts, opts)
+  }
+
+  iterateServices (opts) {
+    return this.iteratePaginated(this.getServices, opts)
+  }
+
+  iterateSources (opts) {
+    return this.iteratePaginated(this.getSources, opts)
+  }
+
+  iterateMeasurements (name, opts) {
+    return this.iteratePaginatedKeyset(this.getMetric, opts, name)
+  }
+
+  iterateTaggedMeasurements (name, query, opts) {
+    return this.iteratePaginatedKeyset(this.getMeasurements, opts, name, query)
+  }
+
   // *** custom finders ***
 
   _findBy (getAll, what, property, value) {
@@ -439,6 +909,16 @@ class LibratoApi {
     return this._findBy(this.getAllServices, 'service', 'title', title)
   }
 
+  /**
+   * Returns (Promise of) first chart in the given space with given name, compared by
+   * strict equality. The Promise will be rejected if no matching chart can be found.
+   */
+  findChartByName (spaceId, name) {
+    return this.getCharts(spaceId)
+      .then(_.find({ name }))
+      .then(resultOrNoSuch('chart', name))
+  }
+
   // *** space and chart ops ***
 
   /**
@@ -451,20 +931,11 @@ class LibratoApi {
    * the dashboard since the Librato API does not provide this information this at the moment.
    */
   dumpSpace (name) {
-    const self = this
-    const omitRedundantComposite = stream =>
-      _.has('metric', stream) ? _.omit('composite', stream) : stream
-    const cleanStream = _.flow(_.omit(['id', 'type']), omitRedundantComposite)
-    const cleanStreams = _.map(cleanStream)
-    const cleanChart = _.flow(_.omit('id'), _.update('streams', cleanStreams))
-    const cleanCharts = _.map(cleanChart)
-    const cleanSpace = _.flow(_.omit('id'), _.update('charts', cleanCharts))
+    return this.findSpaceByName(name).then(space => this._dumpSpace(space))
+  }
 
-    return co(function * () {
-      const space = yield self.findSpaceByName(name)
-      const charts = yield self.getCharts(space.id)
-      return cleanSpace(_.merge(space, { charts }))
-    })
+  _dumpSpace (space) {
+    return this.getCharts(space.id).then(charts => cleanSpace(_.merge(space, { charts })))
   }
 
   /**
@@ -482,27 +953,32 @@ class LibratoApi {
    * be used to copy spaces between accounts.
    *
    * Assuming no other problems, if individual charts fail this does not stop this function.
-   * All errors are collected in a single Error thrown in the end, with an error property
-   * similar to other API calls.
+   * All errors are collected in a single AggregateOperationError thrown in the end, with an
+   * error property similar to other API calls. Invalid chart names are rejected upfront
+   * with a ValidationError.
    */
   createOrUpdateSpace (newSpace) {
     const self = this
 
+    function invalidCharts (message) {
+      return errorWithErrors(errors.ValidationError, message, { params: { charts: [message] } })
+    }
+
     function validateNewChartNames (names) {
       if (_.some(_.eq(''), names)) {
-        throw new Error(`empty chart name in space ${newSpace.name}`)
+        throw invalidCharts(`empty chart name in space ${newSpace.name}`)
       }
       if (_.uniq(names).length < names.length) {
-        throw new Error(`duplicate chart names in space ${newSpace.name}`)
+        throw invalidCharts(`duplicate chart names in space ${newSpace.name}`)
       }
     }
 
     function validateChartResults (chartResults) {
       const chartErrors = _.compact(chartResults)
       if (chartErrors.length > 0) {
-        const err = new Error(`some chart operations failed in space ${newSpace.name}`)
-        err.error = { errors: chartErrors }
-        throw err
+        throw new errors.AggregateOperationError(
+          `some chart operations failed in space ${newSpace.name}`, chartErrors
+        )
       }
     }
 
@@ -542,8 +1018,30 @@ class LibratoApi {
 
   // *** alert & service ops ***
 
-  // A dumpAlert a la dumpSpace would be nice to have, but it's less work to edit
-  // the result from getAlert than doing the getSpace/getCharts walk.
+  /**
+   * For the named alert return a json object (in a Promise) which can be used to re-create
+   * this alert with createOrUpdateAlert. Ids, timestamps and the version are removed, and
+   * services are referenced by title instead of id, so the result can be applied to other
+   * accounts too.
+   */
+  dumpAlert (name) {
+    const self = this
+    return co(function * () {
+      const alert = yield self.findAlertByName(name)
+      // the API embeds services in alerts, only look up plain ids
+      const hasServiceIds = _.some(_.negate(_.isObject), alert.services)
+      const services = hasServiceIds ? yield self.getAllServices() : []
+      return cleanAlert(services, alert)
+    })
+  }
+
+  /**
+   * For the service with the given title return a json object (in a Promise) which can be
+   * used to re-create this service with createOrUpdateService, i.e. without id.
+   */
+  dumpService (title) {
+    return this.findServiceByTitle(title).then(_.omit('id'))
+  }
 
   /**
    * Creates or updates an alert by its name.
@@ -585,12 +1083,363 @@ class LibratoApi {
 
   // *** config management ***
 
+  /**
+   * Export metrics, spaces (with charts), alerts, services and sources of the account as a
+   * raw config, i.e. in the structure of a config dir as read by the CLI tool: an object per
+   * subdir keyed by file names (without extension). Spaces are dumped like by dumpSpace to
+   * one file each, alerts reference their services by title like with dumpAlert.
+   *
+   * Plain metric properties shared by most metrics are moved to an inferred __default__
+   * metric, so processing the result with _processRawConfig yields the current configuration
+   * again. Exporting an account and updating it from the export changes nothing.
+   *
+   * @param options {object} A plain object with the following optional properties:
+   *   - splitMetrics (boolean): one file per metric name prefix (up to the first dot),
+   *     instead of a single metrics file
+   */
+  exportConfig (options) {
+    const self = this
+    const o = options || {}
+    const metricPrefix = metric => _.head(_.split('.', metric.name))
+    const metricsFileOf = o.splitMetrics ? metricPrefix : _.constant('metrics')
+
+    return co(function * () {
+      const all = yield {
+        metrics: self.getAllMetrics(),
+        spaces: self.getAllSpaces(),
+        alerts: self.getAllAlerts(),
+        services: self.getAllServices(),
+        sources: self.getAllSources()
+      }
+      const spaces = yield _.map(space => self._dumpSpace(space), all.spaces)
+      const defaultMetric = inferDefaultMetric(all.metrics)
+      const metrics = _.groupBy(metricsFileOf, _.map(omitDefaults(defaultMetric), all.metrics))
+      const defaults = _.size(defaultMetric) > 1 ? { __default__: defaultMetric } : {}
+      self.logger.debug('exportConfig', _.mapValues(_.size, all))
+      return {
+        metrics: addFiles(defaults, _.toPairs(metrics)),
+        spaces: addFiles({}, _.map(space => [space.name, space], spaces)),
+        alerts: { alerts: _.map(cleanAlert(all.services), all.alerts) },
+        services: { services: _.map(_.omit('id'), all.services) },
+        sources: { sources: _.map(_.omit('id'), all.sources) }
+      }
+    })
+  }
+
+  /**
+   * Apply a config as returned by _processRawConfig to the account: first delete the outdated
+   * elements, then create or update metrics, services and sources, and finally spaces and
+   * alerts, which may depend on those. Failures of single elements do not stop the others.
+   *
+   * Resolves to a report with an Array of items { name, action, status } for metrics, spaces,
+   * alerts, services and sources, where action is 'delete' or 'update' (which creates missing
+   * elements) and status is 'ok', 'absent' (for deletes of elements which did not exist) or
+   * 'failed'. Failed items have error { message, statusCode, errors }, with the Librato API
+   * errors like in error.errors of a LibratoApiError.
+   *
+   * Note that some updates are silently ignored by the API, e.g. trying to change a metric's
+   * l2met_type or created_by_ua.
+   *
+   * Nothing is applied to an invalid config (see validation.validateConfig), which is rejected
+   * with a ValidationError with the problems by JSON Pointer in params instead.
+   *
+   * @param options {object} A plain object with the following optional properties:
+   *   - strict (boolean): if any element failed, reject with an AggregateOperationError
+   *     with the failed items as errors instead
+   */
+  applyConfig (config, options) {
+    const self = this
+    const o = options || {}
+    const getId = _.get('id')
+
+    const describeError = err => _.omitBy(_.isUndefined, {
+      message: err.message,
+      statusCode: err.statusCode,
+      errors: _.get('error.errors', err)
+    })
+    const apply = (what, action, name, operation) => operation.then(
+      _result => {
+        self.logger.verbose('%s %s %s', action, what, name)
+        return { name, action, status: 'ok' }
+      },
+      err => {
+        if (action === 'delete' && err.statusCode === 404) {
+          self.logger.verbose('%s %s %s (nothing there)', action, what, name)
+          return { name, action, status: 'absent' }
+        }
+        const error = describeError(err)
+        self.logger.error('%s %s %s failed', action, what, name, error)
+        return { name, action, status: 'failed', error }
+      }
+    )
+    const deleteNamed = (what, find, del) => name =>
+      apply(what, 'delete', name, find(name).then(getId).then(del))
+
+    const deletes = {
+      metrics: name => apply('metric', 'delete', name, self.deleteMetric(name)),
+      spaces: deleteNamed('space', name => self.findSpaceByName(name), id => self.deleteSpace(id)),
+      alerts: deleteNamed('alert', name => self.findAlertByName(name), id => self.deleteAlert(id)),
+      services: deleteNamed(
+        'service',
+        title => self.findServiceByTitle(title),
+        id => self.deleteService(id)
+      ),
+      sources: name => apply('source', 'delete', name, self.deleteSource(name))
+    }
+    const updates = {
+      metrics: metric =>
+        apply('metric', 'update', metric.name, self.putMetric(metric.name, metric)),
+      spaces: space => apply('space', 'update', space.name, self.createOrUpdateSpace(space)),
+      alerts: alert => apply('alert', 'update', alert.name, self.createOrUpdateAlert(alert)),
+      services: service =>
+        apply('service', 'update', service.title, self.createOrUpdateService(service)),
+      sources: source => apply('source', 'update', source.name, self.putSource(source.name, source))
+    }
+    const applyAll = (operations, elements, kinds) =>
+      _.zipObject(kinds, _.map(kind => _.map(operations[kind], elements[kind]), kinds))
+
+    return co(function * () {
+      const problems = validation.validateConfig(config)
+      if (problems.length > 0) {
+        const params = _.mapValues(_.map('message'), _.groupBy('pointer', problems))
+        const message = `invalid config: ${problems.length} problems`
+        throw errorWithErrors(errors.ValidationError, message, { params })
+      }
+
+      const kinds = ['metrics', 'spaces', 'alerts', 'services', 'sources']
+      const deleted = yield applyAll(deletes, config.outdated, kinds)
+      const updated = yield applyAll(updates, config, ['metrics', 'services', 'sources'])
+      const dependent = yield applyAll(updates, config, ['spaces', 'alerts'])
+      const report = _.zipObject(kinds, _.map(
+        kind => _.concat(deleted[kind], updated[kind] || dependent[kind]), kinds
+      ))
+
+      const failed = _.filter({ status: 'failed' }, _.flatten(_.values(report)))
+      if (o.strict && failed.length > 0) {
+        const message = `${failed.length} config operations failed`
+        throw new errors.AggregateOperationError(message, failed)
+      }
+      return report
+    })
+  }
+
+  /**
+   * Check references between the elements of a config as returned by _processRawConfig, like
+   * validation.checkReferences: metrics of charts, alerts and composites, and services of
+   * alerts. Resolves to an Array of problems { pointer, message }.
+   *
+   * @param options {object} A plain object with the following optional properties:
+   *   - live (boolean): also accept metrics and services of the account which are not in the
+   *     config, e.g. metrics created by submitting measurements
+   */
+  checkReferences (config, options) {
+    const live = _.get('live', options)
+      ? { metrics: this.getAllMetrics(), services: this.getAllServices() }
+      : {}
+    return co(function * () {
+      return validation.checkReferences(config, yield live)
+    })
+  }
+
+  /**
+   * Plan applying a config as returned by _processRawConfig to the account like applyConfig
+   * does, without changing anything. Resolves to an object with an Array of
+   * items { name, action } for metrics, spaces, alerts, services and sources, where action is
+   * one of 'create', 'update', 'delete' or 'unchanged'. Items of updates have changes, an
+   * Array of { path, from, to } for each differing field. Only fields given by the config are
+   * compared, since updates leave other fields alone. Space items have charts, an Array of
+   * such items for the charts of the space.
+   */
+  planConfig (config) {
+    const self = this
+    const names = _.map('name')
+
+    // deletes of outdated elements, and creates or changes for desired elements
+    const plan = (nameOf, planElement, desired, live, outdated) => {
+      const isOutdated = element => _.includes(nameOf(element), outdated)
+      const current = _.reject(isOutdated, live)
+      const findCurrent = element => _.find(c => nameOf(c) === nameOf(element), current)
+      const deleted = _.uniq(_.map(nameOf, _.filter(isOutdated, live)))
+      return _.concat(
+        _.map(name => ({ name, action: 'delete' }), deleted),
+        _.map(element => planElement(element, findCurrent(element)), desired)
+      )
+    }
+    const planItem = nameOf => (element, current) => {
+      const name = nameOf(element)
+      if (_.isUndefined(current)) { return { name, action: 'create' } }
+      const changes = diffFields(element, current, [])
+      return _.isEmpty(changes)
+        ? { name, action: 'unchanged' }
+        : { name, action: 'update', changes }
+    }
+    const planCharts = (charts, currentCharts) => {
+      const undesired = _.difference(names(currentCharts), names(charts))
+      return plan(_.get('name'), planItem(_.get('name')), charts, currentCharts, undesired)
+    }
+
+    return co(function * () {
+      const live = yield {
+        metrics: self.getAllMetrics(),
+        spaces: self.getAllSpaces(),
+        alerts: self.getAllAlerts(),
+        services: self.getAllServices(),
+        sources: self.getAllSources()
+      }
+      // the charts of current spaces, createOrUpdateSpace updates the first space of a name
+      const isWanted = space => _.includes(space.name, names(config.spaces)) &&
+        !_.includes(space.name, config.outdated.spaces)
+      const wanted = _.filter(isWanted, _.uniqBy('name', live.spaces))
+      const dumps = yield _.map(space => self._dumpSpace(space), wanted)
+      const planSpace = (space, current) => {
+        const dump = current && _.find({ name: space.name }, dumps)
+        const charts = planCharts(space.charts || [], dump ? dump.charts : [])
+        const fields = _.omit('charts')
+        const item = planItem(_.get('name'))(fields(space), dump && fields(dump))
+        const chartsChanged = _.some(chart => chart.action !== 'unchanged', charts)
+        const spaceItem = item.action === 'unchanged' && chartsChanged
+          ? { name: space.name, action: 'update', changes: [] }
+          : item
+        return _.assign(spaceItem, { charts })
+      }
+      // services are compared by title, like dumpAlert
+      const serviceTitle = idOrTitle =>
+        _.getOr(idOrTitle, 'title', _.find({ id: idOrTitle }, live.services))
+      const alerts = _.map(_.update('services', _.map(serviceTitle)), config.alerts)
+      const liveAlerts = _.map(cleanAlert(live.services), live.alerts)
+
+      const byName = _.get('name')
+      const byTitle = _.get('title')
+      const planKind = (kind, nameOf, planElement, desired, current) =>
+        plan(nameOf, planElement, desired, current, config.outdated[kind])
+      return {
+        metrics: planKind('metrics', byName, planItem(byName), config.metrics, live.metrics),
+        spaces: planKind('spaces', byName, planSpace, config.spaces, live.spaces),
+        alerts: planKind('alerts', byName, planItem(byName), alerts, liveAlerts),
+        services: planKind('services', byTitle, planItem(byTitle), config.services, live.services),
+        sources: planKind('sources', byName, planItem(byName), config.sources, live.sources)
+      }
+    })
+  }
+
+  /**
+   * Check the account for drift from a config as returned by _processRawConfig, i.e. for
+   * changes made outside of the config. Resolves to an object with an Array of drifted
+   * elements { name, drift } for metrics, spaces, alerts, services and sources, where drift
+   * is one of 'missing' (configured but not in the account), 'modified' (with changes, an Array
+   * of { path, expected, actual } for each differing configured field) or 'outdated' (listed
+   * as outdated but in the account). Modified spaces have charts, an Array of drifted charts,
+   * which also can be 'added' outside of the config.
+   *
+   * This is based on planConfig, so elements which the config does not mention are not checked.
+   */
+  checkDrift (config) {
+    const drifts = { create: 'missing', update: 'modified', delete: 'outdated' }
+    const chartDrifts = _.assign(drifts, { delete: 'added' })
+    const drifted = _.reject({ action: 'unchanged' })
+    const toChange = change => ({ path: change.path, expected: change.to, actual: change.from })
+    const toDrift = driftsByAction => item => _.omitBy(_.isUndefined, {
+      name: item.name,
+      drift: driftsByAction[item.action],
+      changes: item.changes && _.map(toChange, item.changes)
+    })
+    const toSpaceDrift = item => item.action === 'update'
+      ? _.set('charts', _.map(toDrift(chartDrifts), drifted(item.charts)), toDrift(drifts)(item))
+      : toDrift(drifts)(item)
+
+    return this.planConfig(config).then(plan => _.assign(
+      _.mapValues(_.flow(drifted, _.map(toDrift(drifts))), plan),
+      { spaces: _.map(toSpaceDrift, drifted(plan.spaces)) }
+    ))
+  }
+
+  /**
+   * Find elements of the account which are owned according to an ownership rule, but not in
+   * a config as returned by _processRawConfig. Resolves to an object with an Array of names
+   * (titles for services) for spaces, alerts, services, sources and optionally metrics, e.g.
+   * to prune them by adding them to config.outdated. Elements already outdated are left out.
+   *
+   * @param rule {object} A plain object with at least one of the following properties, an
+   * element is owned if any of them match:
+   *   - prefixes (Array): its name (or title) starts with one of these
+   *   - managed_by (string): the managed_by attribute of metrics and alerts equals this
+   *   - owned (object): Arrays of names (or titles) by kind of element, e.g. { spaces: ['Old'] }
+   * and the optional property:
+   *   - metrics (boolean): true to find metrics too, default false
+   */
+  findUnmanaged (config, rule) {
+    const self = this
+    const r = rule || {}
+    const kinds = r.metrics === true
+      ? ['metrics', 'spaces', 'alerts', 'services', 'sources']
+      : ['spaces', 'alerts', 'services', 'sources']
+    const nameOf = kind => _.get(kind === 'services' ? 'title' : 'name')
+    const isManagedBy = element =>
+      !_.isUndefined(r.managed_by) && _.get('attributes.managed_by', element) === r.managed_by
+    const isOwned = kind => element => {
+      const name = nameOf(kind)(element)
+      return _.some(prefix => _.startsWith(prefix, name), r.prefixes) ||
+        isManagedBy(element) ||
+        _.includes(name, _.get(kind, r.owned))
+    }
+
+    return co(function * () {
+      if (_.isEmpty(r.prefixes) && _.isUndefined(r.managed_by) && _.isEmpty(r.owned)) {
+        const message = 'an ownership rule needs prefixes, managed_by or owned'
+        throw errorWithErrors(errors.ValidationError, message, { params: { prune: [message] } })
+      }
+      const getAll = kind => self[`getAll${_.upperFirst(kind)}`]()
+      const live = yield _.zipObject(kinds, _.map(getAll, kinds))
+      const unmanaged = kind => {
+        const managed = _.concat(_.map(nameOf(kind), config[kind]), config.outdated[kind])
+        return _.uniq(_.map(nameOf(kind), _.filter(
+          element => isOwned(kind)(element) && !_.includes(nameOf(kind)(element), managed),
+          live[kind]
+        )))
+      }
+      return _.assign({ metrics: [] }, _.zipObject(kinds, _.map(unmanaged, kinds)))
+    })
+  }
+
+  // Merges the raw configs of overlay dirs over a raw config in order, so later ones take
+  // precedence, before _processRawConfig:
+  // - metrics, spaces, alerts, services and sources are merged by name (title for services),
+  //   deeply, where the charts of spaces are merged by name and other Arrays, e.g. streams,
+  //   conditions or services of alerts, are replaced; elements (or charts) with
+  //   "__delete__": true are removed
+  // - outdated names are added, template_values and prune are merged by key
+  _overlayRawConfig (config, overlays) {
+    this.logger.debug('overlays', _.size(overlays))
+    return _.reduce(overlayRawConfig, config, overlays)
+  }
+
+  // Locates a problem of validateRawConfig in the raw config merged by _overlayRawConfig from
+  // config and overlays, following the merge back to the raw config it comes from. Returns the
+  // problem with the index of that raw config as source (0 for config, 1 for the first overlay)
+  // and file and pointer in it. Values replaced by an overlay come from that overlay, values
+  // merged from several raw configs (objects, charts merged by name) from the first of them,
+  // e.g. an element missing a required property from the file defining it.
+  _locateOverlayProblem (config, overlays, problem) {
+    const rawConfigs = _.concat([config], overlays)
+    const rawConfig = _.reduce(overlayRawConfig, config, overlays)
+    const located = locateOverlayProblem(rawConfigs, rawConfig, problem)
+    // the merge defines every value by some raw config, so this keeps to config only in case
+    // the tracing misses a change of the merge
+    return _.assignAll([problem, { source: 0 }, located])
+  }
+
   // Transforms config:
   // 1. simplify structure read from a config dir (flattens subdirs and creates predictable arrays)
   // 2. merge the __default__ metric with all other metrics and remove it
   // 3. apply template_values to metric name/display_name/composite properties and
   //    outdated metric names
-  // Note: So far this is used only by the CLI tool, see the TODO in updateFromDir there.
+  // 4. apply template_values to space, chart and alert names, nested by name: a space is
+  //    rendered once per distinct name, its charts only with the permutations of that name
+  //    and so on, down to stream metric/composite and alert condition metric_name properties;
+  //    outdated space and alert names are templates too
+  // Each element is rendered only with the template variables it uses, and with its own
+  // __template_values__ (which replace template_values by variable) instead of the global ones.
+  // The result is the config taken by applyConfig, planConfig, checkDrift and findUnmanaged.
   _processRawConfig (config) {
     // support single objects or arrays in files in nested dirs, flatten to one level
     const allFlat = _.flow(_.defaultTo([]), _.toArray, _.flatten)
@@ -604,22 +1453,8 @@ class LibratoApi {
       { metrics: [], spaces: [], alerts: [], services: [], sources: [] },
       config.outdated
     )
-    const templateValues = config.template_values || []
-
-    const createTemplateValuePermutations = templateValues => {
-      const keys = _.reverse(_.keys(templateValues))
-      const values = _.reverse(_.values(templateValues))
-      const vs = _.spread(combinatorics.cartesianProduct)(values).toArray()
-      const zipKeysToObj = _.flow(_.zip(keys), _.fromPairs)
-      return _.map(zipKeysToObj, vs)
-    }
-    const templateValuePermutations =
-      _.isEmpty(templateValues) ? [{}] : createTemplateValuePermutations(templateValues)
-    this.logger.debug({
-      template_values: config.template_values,
-      permutations: _.size(templateValuePermutations)
-    })
-    this.logger.silly({ templateValuePermutations })
+    const templateValues = config.template_values || {}
+    this.logger.debug({ template_values: config.template_values })
 
     // template factories, simple and lifted to obj properties
     const createTemplate = source =>
@@ -635,12 +1470,58 @@ class LibratoApi {
       return data => _.reduce(setPathEvaled, obj, pathesZipEvaled(data))
     }
 
-    // permutations in the sense of different template evaluations with templateValuePermutations
-    const templatePermutations = template =>
-      _.uniq(_.map(createTemplate(template), templateValuePermutations))
+    // the names used in the {{...}} expressions of sources
+    const usedIn = (names, sources) => {
+      const expressions = _.flatMap(source => source.match(/{{[\s\S]+?}}/g) || [], sources)
+      const isUsed = name => {
+        const word = new RegExp(`\\b${_.escapeRegExp(name)}\\b`)
+        return _.some(expression => word.test(expression), expressions)
+      }
+      return _.filter(isUsed, names)
+    }
+    // the permutations of the template values used in sources only, so unused variables do not
+    // multiply them; __exclude__ drops combinations of values (if all their variables are used)
+    // and __derived__ adds variables rendered from the others
+    const createTemplateValuePermutations = (templateValues, sources) => {
+      const values = _.omit(['__derived__', '__exclude__'], templateValues)
+      const allDerived = templateValues.__derived__
+      const derived = _.pick(usedIn(_.keys(allDerived), sources), allDerived)
+      const keys = usedIn(_.keys(values), _.concat(sources, _.values(derived)))
+      const isApplicable = rule => _.every(_.includes(_, keys), _.keys(rule))
+      const exclusions = _.filter(isApplicable, templateValues.__exclude__)
+
+      const zipKeysToObj = _.flow(_.zip(_.reverse(keys)), _.fromPairs)
+      const cartesianProduct = _.spread(combinatorics.cartesianProduct)
+      const valueLists = _.reverse(_.map(key => values[key], keys))
+      const permutations = _.isEmpty(keys)
+        ? [{}]
+        : _.map(zipKeysToObj, cartesianProduct(valueLists).toArray())
+      const isExcluded = permutation => _.some(_.isMatch(_, permutation), exclusions)
+      const addDerived = permutation =>
+        _.assign(permutation, _.mapValues(t => createTemplate(t)(permutation), derived))
+      return _.map(addDerived, _.reject(isExcluded, permutations))
+    }
+
+    // every string in value, e.g. the template sources of a config element
+    const allStrings = value => _.isObject(value)
+      ? _.flatMap(allStrings, _.values(value))
+      : _.filter(_.isString, [value])
+    // an element's own __template_values__ replace template_values.json by variable
+    const unscoped = _.omit('__template_values__')
+    const scopedPermutations = element => createTemplateValuePermutations(
+      _.assign(templateValues, element.__template_values__),
+      allStrings(unscoped(element))
+    )
+
+    // permutations in the sense of different template evaluations with the template value
+    // permutations
+    const templatePermutations = template => {
+      const permutations = createTemplateValuePermutations(templateValues, [template])
+      return _.uniq(_.map(createTemplate(template), permutations))
+    }
     const templatesPermutations = _.flatMap(templatePermutations)
     const permutationsOfObj = createObjTemplate => obj =>
-      _.uniqWith(_.isEqual, _.map(createObjTemplate(obj), templateValuePermutations))
+      _.uniqWith(_.isEqual, _.map(createObjTemplate(unscoped(obj)), scopedPermutations(obj)))
     const permutationsOfObjs = createObjTemplate => _.flatMap(permutationsOfObj(createObjTemplate))
 
     // custom metrics processing
@@ -658,29 +1539,327 @@ class LibratoApi {
     const processRawMetrics =
       _.flow(applyDefaultMetric, permutationsOfObjs(createMetricTemplate))
 
+    // nested templating: the distinct renderings of template with their permutations
+    const groupPermutations = (template, permutations) => {
+      const rendered = _.zip(_.map(createTemplate(template), permutations), permutations)
+      return _.map(
+        name => ({ name, permutations: _.map(1, _.filter(r => r[0] === name, rendered)) }),
+        _.uniq(_.map(0, rendered))
+      )
+    }
+    // an element per distinct name, with nested elements expanded by processNested(permutations)
+    const expandNamed = processNested => permutations => element => _.isString(element.name)
+      ? _.map(
+        group => processNested(group.permutations)(_.set('name', group.name, element)),
+        groupPermutations(element.name, permutations)
+      )
+      : [processNested(permutations)(element)]
+    // elements without name, e.g. streams, are rendered once per distinct result
+    const expandUnnamed = pathes => permutations => _.flatMap(element =>
+      _.uniqWith(_.isEqual, _.map(createPropsTemplate(element)(pathes), permutations))
+    )
+    const updateNested = (key, expand) => permutations => element =>
+      _.has(key, element) ? _.update(key, expand(permutations), element) : element
+    const expandStreams = expandUnnamed(['metric', 'composite'])
+    const expandCharts = permutations =>
+      _.flatMap(expandNamed(updateNested('streams', expandStreams))(permutations))
+    const expandConditions = expandUnnamed(['metric_name'])
+    const expandScoped = processNested => _.flatMap(element =>
+      expandNamed(processNested)(scopedPermutations(element))(unscoped(element))
+    )
+    const processRawSpaces = expandScoped(updateNested('charts', expandCharts))
+    const processRawAlerts = expandScoped(updateNested('conditions', expandConditions))
+
     return {
       metrics: processRawMetrics(metrics),
-      spaces,
-      alerts,
+      spaces: processRawSpaces(spaces),
+      alerts: processRawAlerts(alerts),
       services,
       sources,
       outdated: _.merge(
         outdated,
-        { metrics: templatesPermutations(outdated.metrics) }
+        {
+          metrics: templatesPermutations(outdated.metrics),
+          spaces: templatesPermutations(outdated.spaces),
+          alerts: templatesPermutations(outdated.alerts)
+        }
       )
     }
   }
 }
 
+// *** dump & export helpers ***
+
+const omitRedundantComposite = stream =>
+  _.has('metric', stream) ? _.omit('composite', stream) : stream
+// tag based streams have no source
+const omitNilSourceOfTagged = stream =>
+  _.has('tags', stream) && _.isNil(stream.source) ? _.omit('source', stream) : stream
+const cleanStream =
+  _.flow(_.omit(['id', 'type']), omitRedundantComposite, omitNilSourceOfTagged)
+const cleanChart = _.flow(_.omit('id'), _.update('streams', _.map(cleanStream)))
+const cleanSpace = _.flow(_.omit('id'), _.update('charts', _.map(cleanChart)))
+
+// services are referenced by title, plain ids are looked up in services
+const cleanAlert = _.curry((services, alert) => {
+  const getServiceTitle = serviceOrId => _.isObject(serviceOrId)
+    ? serviceOrId.title
+    : resultOrNoSuch('service', serviceOrId, _.find({ id: serviceOrId }, services)).title
+  return _.flow(
+    // read-only fields set by the API
+    _.omit(['id', 'created_at', 'updated_at', 'version']),
+    _.update('conditions', _.map(_.omit('id'))),
+    _.update('services', _.map(getServiceTitle))
+  )(alert)
+})
+
+// changes of the fields given by desired compared to current as { path, from, to },
+// nested objects and arrays of equal length are compared by their elements
+const diffFields = (desired, current, path) => {
+  const at = key => _.concat(path, [key])
+  if (_.isPlainObject(desired) && _.isPlainObject(current)) {
+    return _.flatMap(key => diffFields(desired[key], current[key], at(key)), _.keys(desired))
+  }
+  if (_.isArray(desired) && _.isArray(current) && desired.length === current.length) {
+    return _.flatMap(i => diffFields(desired[i], current[i], at(i)), _.range(0, desired.length))
+  }
+  return _.isEqual(desired, current)
+    ? []
+    : [{ path: _.join('.', path), from: current, to: desired }]
+}
+
+// a file name (without extension) for name, unique among taken file names
+const uniqueFileName = (name, taken) => {
+  const base = _.replace(/[^\w.-]+/g, '_', name)
+  const suffixed = n => n > 1 ? `${base}_${n}` : base
+  let n = 1
+  while (_.includes(suffixed(n), taken)) { n += 1 }
+  return suffixed(n)
+}
+
+// adds [name, content] pairs to the files object, keyed by unique file names
+const addFiles = (files, pairs) =>
+  _.reduce((acc, pair) => _.set([uniqueFileName(pair[0], _.keys(acc))], pair[1], acc), files, pairs)
+
+// paths of metric properties which a __default__ metric can provide: plain values which all
+// metrics have, except the name and composite
+const defaultablePaths = metrics => _.flow(
+  _.flatMap(m => _.concat(
+    _.map(k => [k], _.keys(_.omit(['name', 'composite', 'attributes'], m))),
+    _.map(k => ['attributes', k], _.keys(m.attributes))
+  )),
+  _.uniqWith(_.isEqual),
+  _.filter(path => _.every(m => _.has(path, m) && !_.isObject(_.get(path, m)), metrics))
+)(metrics)
+
+// the most common value of each defaultable path, if shared by more than one metric
+const inferDefaultMetric = metrics => _.reduce((acc, path) => {
+  const counts = _.countBy(m => JSON.stringify(_.get(path, m)), metrics)
+  const top = _.maxBy(json => counts[json], _.keys(counts))
+  return counts[top] > 1 ? _.set(path, JSON.parse(top), acc) : acc
+}, { name: '__default__' }, defaultablePaths(metrics))
+
+// omits properties provided by the __default__ metric, so merging it back yields metric again
+const omitDefaults = defaultMetric => metric => {
+  const isDefault = (acc, path) => _.isEqual(_.get(path, acc), _.get(path, defaultMetric))
+  const omitDefault = (acc, path) => isDefault(acc, path) ? _.unset(path, acc) : acc
+  const paths = _.filter(path => _.has(path, defaultMetric), defaultablePaths([metric]))
+  const result = _.reduce(omitDefault, metric, paths)
+  const attributesOmitted = _.isEmpty(result.attributes) && !_.isEmpty(metric.attributes)
+  return attributesOmitted ? _.omit('attributes', result) : result
+}
+
+// *** overlay helpers ***
+
+// the property identifying elements in config dir sections
+const elementKeys = {
+  metrics: 'name',
+  spaces: 'name',
+  alerts: 'name',
+  services: 'title',
+  sources: 'name'
+}
+
+// merges elements of overlay over the ones of base with the same key, removing those with
+// __delete__
+const mergeElementsBy = key => (base, overlay) => {
+  const mergeOverlayElement = (acc, element) => {
+    const i = _.findIndex(_.matchesProperty(key, element[key]), acc)
+    return _.set([i < 0 ? acc.length : i], mergeElement(i < 0 ? {} : acc[i], element), acc)
+  }
+  return _.reject('__delete__', _.reduce(mergeOverlayElement, base, overlay))
+}
+
+// deep merge, where charts are merged by name (unless the overlay has none), other Arrays replaced
+const mergeElement = _.mergeWith((value, overlayValue, key) => {
+  if (!_.isArray(overlayValue)) { return undefined }
+  if (key !== 'charts' || _.isEmpty(overlayValue)) { return overlayValue }
+  return mergeElementsBy('name')(_.isArray(value) ? value : [], overlayValue)
+})
+
+// each overlay element is merged into the file of the base section defining it, or added to its
+// own file of the same name
+const overlaySection = key => (base, overlay) => {
+  const overlayElement = file => (section, element) => {
+    const defines = f => _.some(_.matchesProperty(key, element[key]), _.castArray(section[f]))
+    const target = _.find(defines, _.keys(section)) || file
+    const elements = _.castArray(section[target] || [])
+    return _.set([target], mergeElementsBy(key)(elements, [element]), section)
+  }
+  const overlayFile = (acc, file) =>
+    _.reduce(overlayElement(file), acc, _.castArray(overlay[file]))
+  return _.reduce(overlayFile, base || {}, _.keys(overlay))
+}
+
+const addNames = (names, overlayNames) => _.uniq(_.concat(_.defaultTo([], names), overlayNames))
+const overlayRawConfig = (base, overlay) => _.reduce((acc, key) => {
+  const value = overlay[key]
+  if (_.has(key, elementKeys)) {
+    return _.set([key], overlaySection(elementKeys[key])(acc[key], value), acc)
+  }
+  const merge = key === 'outdated' ? _.mergeWith(addNames) : _.assign
+  return _.set([key], merge(acc[key], value), acc)
+}, base, _.keys(overlay))
+
+// *** overlay problem helpers ***
+
+// Values of raw configs merged into a value of the merged raw config are traced as layers
+// { source, file, pointer, value }, with the index of the raw config as source.
+
+const escapePointer = _.flow(_.replace(/~/g, '~0'), _.replace(/\//g, '~1'))
+const unescapePointer = _.flow(_.replace(/~1/g, '/'), _.replace(/~0/g, '~'))
+
+// the items of an Array (or a single value) as layers of a group, e.g. the elements of a file
+const itemLayers = (group, layer) => {
+  const toItem = i =>
+    _.assign(layer, { group, pointer: `${layer.pointer}/${i}`, value: layer.value[i] })
+  return _.isArray(layer.value)
+    ? _.map(toItem, _.range(0, layer.value.length))
+    : [_.assign(layer, { group })]
+}
+
+// the layers of the items merged into mergedItems[i] by mergeElementsBy(key), given the items
+// of each raw config: items with a key are merged into the first one with the same key, unless
+// an overlay deletes it, items without are appended to their group
+const traceMergedItem = (key, mergedItems, i, layers) => {
+  const merged = mergedItems[i]
+  const before = _.take(i, mergedItems)
+  if (!_.has(key, merged.value)) {
+    const isNameless = item => item.group === merged.group && !_.has(key, item.value)
+    const nameless = _.reject('value.__delete__', _.filter(isNameless, _.flatten(layers)))
+    return _.compact([nameless[_.size(_.filter(isNameless, before))]])
+  }
+  const isNamed = item => _.has(key, item.value) && _.isEqual(item.value[key], merged.value[key])
+  const ordinal = _.size(_.filter(isNamed, before))
+  const base = _.filter(isNamed, _.head(layers))[ordinal]
+  const overlays = ordinal === 0 ? _.filter(isNamed, _.flatten(_.tail(layers))) : []
+  const mergeOverlay = (acc, item) => item.value.__delete__ ? [] : _.concat(acc, [item])
+  return _.reduce(mergeOverlay, _.compact([base]), overlays)
+}
+
+// whether mergeElement merges value into the values before it instead of replacing them
+const mergesInto = (key, values, value) => {
+  const last = _.last(values)
+  return key === 'charts'
+    ? _.isArray(last) && _.isArray(value) && !_.isEmpty(value)
+    : _.isPlainObject(last) && _.isPlainObject(value)
+}
+
+// the layers of the value at the path of segments in merged, given the layers merged into
+// merged by mergeElement
+const traceMergedValue = (layers, merged, segments) => {
+  if (_.isEmpty(segments)) { return layers }
+  const segment = segments[0]
+  let next
+  if (_.isArray(merged) && _.size(layers) > 1) {
+    // charts merged by name
+    const mergedItems = _.map(value => ({ group: 'charts', value }), merged)
+    const chartLayers = _.map(layer => itemLayers('charts', layer), layers)
+    next = traceMergedItem('name', mergedItems, Number(segment), chartLayers)
+  } else {
+    const definesChild = layer => !_.isUndefined(_.get([segment], layer.value))
+    const toChild = layer => _.assign(layer, {
+      pointer: `${layer.pointer}/${escapePointer(segment)}`,
+      value: layer.value[segment]
+    })
+    const mergeChild = (acc, layer) =>
+      mergesInto(segment, _.map('value', acc), layer.value) ? _.concat(acc, [layer]) : [layer]
+    next = _.reduce(mergeChild, [], _.map(toChild, _.filter(definesChild, layers)))
+  }
+  return traceMergedValue(next, merged[segment], _.tail(segments))
+}
+
+// the elements of a config dir section of a raw config as layers, grouped by file
+const sectionLayers = (section, rawConfig, source) => {
+  const fileLayer = file =>
+    ({ source, file: `${section}/${file}`, pointer: '', value: rawConfig[section][file] })
+  return _.flatMap(file => itemLayers(file, fileLayer(file)), _.keys(_.get(section, rawConfig)))
+}
+
+// the layers of the element of a dir section file (of the merged raw config) at pointer
+// segments, and the remaining segments
+const traceElement = (rawConfigs, rawConfig, section, file, segments) => {
+  const indexed = _.isArray(rawConfig[section][file])
+  const mergedItems = sectionLayers(section, rawConfig)
+  const i = _.findIndex({ group: file }, mergedItems) + (indexed ? Number(segments[0]) : 0)
+  const layers = _.map(
+    source => sectionLayers(section, rawConfigs[source], source),
+    _.range(0, rawConfigs.length)
+  )
+  const elementLayers = traceMergedItem(elementKeys[section], mergedItems, i, layers)
+  const elementSegments = indexed ? _.tail(segments) : segments
+  return traceMergedValue(elementLayers, mergedItems[i].value, elementSegments)
+}
+
+// the layers of the value at pointer segments in a top level file: outdated names are added
+// by the first raw config having them, other values replaced by the last one
+const traceFile = (rawConfigs, rawConfig, file, segments) => {
+  const fileLayers = _.compact(_.map(
+    source => _.has([file], rawConfigs[source])
+      ? { source, file, pointer: '', value: rawConfigs[source][file] }
+      : undefined,
+    _.range(0, rawConfigs.length)
+  ))
+  if (_.isEmpty(segments)) { return fileLayers }
+  const kind = segments[0]
+  if (file === 'outdated' && _.size(segments) > 1) {
+    const name = _.get([kind, segments[1]], rawConfig[file])
+    // like addNames, which concats the names to the ones before
+    const nameIndex = layer => _.indexOf(name, _.castArray(layer.value[kind]))
+    const addingLayer = _.find(layer => nameIndex(layer) >= 0, fileLayers)
+    const nameLayer = _.assign(addingLayer, {
+      pointer: `/${escapePointer(kind)}/${nameIndex(addingLayer)}`,
+      value: name
+    })
+    return traceMergedValue([nameLayer], name, _.drop(2, segments))
+  }
+  const definesKey = layer => _.has([kind], layer.value)
+  const lastDefining = _.takeRight(1, _.filter(definesKey, fileLayers))
+  return traceMergedValue(lastDefining, rawConfig[file], segments)
+}
+
+const locateOverlayProblem = (rawConfigs, rawConfig, problem) => {
+  const segments = _.map(unescapePointer, _.tail(_.split('/', problem.pointer)))
+  const [section, ...fileParts] = _.split('/', problem.file)
+  const layers = _.isEmpty(fileParts)
+    ? traceFile(rawConfigs, rawConfig, section, segments)
+    : traceElement(rawConfigs, rawConfig, section, _.join('/', fileParts), segments)
+  return _.pick(['source', 'file', 'pointer'], _.head(layers))
+}
+
 // annotations required by getAllPaginated
 LibratoApi.prototype.getMetrics.resultPath = 'metrics'
 LibratoApi.prototype.getSpaces.resultPath = 'spaces'
 LibratoApi.prototype.getAlerts.resultPath = 'alerts'
 LibratoApi.prototype.getServices.resultPath = 'services'
 LibratoApi.prototype.getSources.resultPath = 'sources'
+LibratoApi.prototype.getApiTokens.resultPath = 'api_tokens'
+LibratoApi.prototype.getAnnotations.resultPath = 'annotations'
 
 // annotations required by getAllPaginatedKeyset
 LibratoApi.prototype.getMetric.resultPath = 'measurements'
+LibratoApi.prototype.getMeasurements.resultPath = 'series'
+LibratoApi.prototype.getMeasurements.mergeResults = mergeSeries
 
 const renderCompositeOptions = options => {
   const optVals = _(options || {}).keys().map(k => `${k}:"${options[k]}"`).join(', ')
@@ -737,7 +1916,12 @@ LibratoApi.prototype.compositeDSL = {
 
 /**
  * At the root this package is a ready to use LibratoApi instance with default options.
- * For use cases requiring more flexibility the class constructor is exported as LibratoApi.
+ * For use cases requiring more flexibility the class constructor is exported as LibratoApi,
+ * the error classes as errors, the HTTP transports as transports and the config validation
+ * as validation.
  */
 module.exports = new LibratoApi()
 module.exports.LibratoApi = LibratoApi
+module.exports.errors = errors
+module.exports.transports = transports
+module.exports.validation = validation
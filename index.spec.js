@@ -1,7 +1,7 @@
 'use strict'
 
 const _ = require('lodash/fp')
-const request = require('request-promise')
+const StatusCodeError = require('request-promise/errors').StatusCodeError
 const requireDir = require('require-dir')
 const winston = require('winston')
 
@@ -12,6 +12,7 @@ chai.use(require('chai-as-promised'))
 const expect = chai.expect
 
 const LibratoApi = require('./index')
+const createFakeLibrato = require('./testing').createFakeLibrato
 
 describe('A default LibratoApi', () => {
   function createInstanceWithTestEnv () {
@@ -35,8 +36,8 @@ describe('A default LibratoApi', () => {
     expect(libratoApi.auth).to.deep.equal({ user: 'testuser', pass: 'testtoken' })
   })
 
-  it('should use the default request-promise', function * () {
-    expect(libratoApi.request).to.equal(request)
+  it('should use the default https transport', function * () {
+    expect(libratoApi.request).to.be.a('function')
   })
 
   it('should log to winston root logger', function * () {
@@ -46,10 +47,16 @@ describe('A default LibratoApi', () => {
   it('should be provided by the package itself', function * () {
     expect(LibratoApi).to.be.an.instanceof(LibratoApi.LibratoApi)
     expect(LibratoApi).to.have.a.property('auth')
-    expect(LibratoApi).to.have.a.property('request', request)
+    expect(LibratoApi).to.have.a.property('request').which.is.a('function')
     expect(LibratoApi).to.have.a.property('serviceUrl', 'https://metrics-api.librato.com/v1')
     expect(LibratoApi).to.have.a.property('logger', winston)
   })
+
+  it('should export the error classes, transports and validation', function * () {
+    expect(LibratoApi).to.have.a.property('errors', require('./errors'))
+    expect(LibratoApi).to.have.a.property('transports', require('./transports'))
+    expect(LibratoApi).to.have.a.property('validation', require('./validation'))
+  })
 })
 
 describe('LibratoApi.compositeDSL as $', () => {
@@ -193,6 +200,41 @@ describe('A test LibratoApi', () => {
       ])
     })
 
+    it('should merge both option objects into an API request', function * () {
+      const r = yield libratoApi.apiRequest(['foo'], { method: 'PUT', qs: { x: 'y' } }, { qs: { z: 1 } })
+      expect(r).to.deep.equal([{
+        auth: { user: 'testuser', pass: 'testtoken' },
+        json: true,
+        method: 'PUT',
+        qs: { x: 'y', z: 1 },
+        url: 'http://url/v1/foo'
+      }])
+    })
+
+    it('should honour per-call options of methods with fixed request options', function * () {
+      const opts = { timeout: 100, headers: { 'x-test': 'yes' } }
+      const requests = _.flatten([
+        yield libratoApi.putSpace(1, { name: 'space1' }, opts),
+        yield libratoApi.postAlert({ name: 'alert1' }, opts),
+        yield libratoApi.deleteMetric('metric1', opts)
+      ])
+      expect(_.map(_.pick(['method', 'timeout', 'headers']), requests)).to.deep.equal([
+        { method: 'PUT', timeout: 100, headers: { 'x-test': 'yes' } },
+        { method: 'POST', timeout: 100, headers: { 'x-test': 'yes' } },
+        { method: 'DELETE', timeout: 100, headers: { 'x-test': 'yes' } }
+      ])
+    })
+
+    it('should fail an API request with a typed error keeping the status code', function * () {
+      const body = { errors: { params: { name: ['is not present'] } } }
+      libratoApi.request = () => Promise.reject(new StatusCodeError(400, body, {}, { headers: {} }))
+
+      const p = libratoApi.apiRequest(['foo'])
+      yield expect(p).to.eventually.be.rejectedWith(LibratoApi.errors.ValidationError)
+        .and.to.include({ statusCode: 400, error: body })
+        .and.to.have.property('params').which.eql({ name: ['is not present'] })
+    })
+
     it('should fail an API request with logging', function * () {
       const path = ['foo', 123]
       const error = new Error('something happened')
@@ -256,6 +298,35 @@ describe('A test LibratoApi', () => {
       expect(libratoApi.getMetric).to.have.property('resultPath', 'measurements')
     })
 
+    it('should get tagged measurements', function * () {
+      const query = { tags: { region: 'us-east' }, group_by: 'region', resolution: 60, duration: 3600 }
+      const r = yield libratoApi.getMeasurements('router.bytes', query, { timeout: 100 })
+      expect(r).to.have.length(1)
+      expect(r[0]).to.deep.equal({
+        auth: { user: 'testuser', pass: 'testtoken' },
+        json: true,
+        url: 'http://url/v1/measurements/router.bytes',
+        qs: query,
+        timeout: 100
+      })
+    })
+
+    it('should get tagged measurements without query', function * () {
+      const r = yield libratoApi.getMeasurements('router.bytes')
+      expect(r).to.have.length(1)
+      expect(r[0]).to.deep.equal({
+        auth: { user: 'testuser', pass: 'testtoken' },
+        json: true,
+        url: 'http://url/v1/measurements/router.bytes',
+        qs: {}
+      })
+    })
+
+    it('should support getAllPaginatedKeyset for getMeasurements', function () {
+      expect(libratoApi.getMeasurements).to.have.property('resultPath', 'series')
+      expect(libratoApi.getMeasurements).to.have.property('mergeResults').which.is.a('function')
+    })
+
     it('should put a metric definition', function * () {
       const r = yield libratoApi.putMetric(
         'test.metric',
@@ -586,173 +657,954 @@ describe('A test LibratoApi', () => {
         method: 'DELETE'
       })
     })
-  })
-
-  describe('(pagination iteration helpers)', () => {
-    it('should iterate over and aggregate paginated results', function * () {
-      const getXs = sinon.stub()
-      getXs
-        .withArgs({ foo: 'bar', qs: { offset: 0 } })
-        .returns(Promise.resolve({ query: { offset: 0, length: 3, found: 8 }, xs: [1, 2, 3] }))
-      getXs
-        .withArgs({ foo: 'bar', qs: { offset: 3 } })
-        .returns(Promise.resolve({ query: { offset: 3, length: 3, found: 8 }, xs: [4, 5, 6] }))
-      getXs
-        .withArgs({ foo: 'bar', qs: { offset: 6 } })
-        .returns(Promise.resolve({ query: { offset: 6, length: 2, found: 8 }, xs: [7, 8] }))
-      getXs.resultPath = 'xs'
-
-      const result = yield libratoApi.getAllPaginated(getXs, optsFooBar)
 
-      expect(result).to.eql([1, 2, 3, 4, 5, 6, 7, 8])
-      expect(getXs)
-        .to.have.been.calledThrice
-        .and.to.have.always.been.calledOn(libratoApi)
+    it('should get API tokens', function * () {
+      const r = yield libratoApi.getApiTokens()
+      expect(r).to.have.length(1)
+      expect(r[0]).to.deep.equal({
+        auth: { user: 'testuser', pass: 'testtoken' },
+        json: true,
+        url: 'http://url/v1/api_tokens'
+      })
     })
 
-    it('should assert valid paginated getter on getAllPaginated call', function * () {
-      const getXs = sinon.stub()
-      // this really is asserted before a Promise is built, because it violates the call contract
-      expect(() => libratoApi.getAllPaginated(getXs)).to.throw('invalid paginatedGetter')
+    it('should support getAllPaginated for getApiTokens', function * () {
+      expect(libratoApi.getApiTokens).to.have.property('resultPath', 'api_tokens')
     })
 
-    it('should get all metrics', function * () {
-      const stubResult = { metrics: '<all>' }
-      sinon.stub(libratoApi, 'getAllPaginated')
-        .withArgs(libratoApi.getMetrics, optsFooBar)
-        .returns(Promise.resolve(stubResult))
-      const result = yield libratoApi.getAllMetrics(optsFooBar)
-      expect(result).to.deep.equal({ metrics: '<all>' })
+    it('should get API tokens by name', function * () {
+      const r = yield libratoApi.getApiToken('dashboard*')
+      expect(r).to.have.length(1)
+      expect(r[0]).to.deep.equal({
+        auth: { user: 'testuser', pass: 'testtoken' },
+        json: true,
+        url: 'http://url/v1/api_tokens/dashboard*'
+      })
     })
 
-    it('should get all spaces', function * () {
-      const stubResult = { spaces: '<all>' }
-      sinon.stub(libratoApi, 'getAllPaginated')
-        .withArgs(libratoApi.getSpaces, optsFooBar)
-        .returns(Promise.resolve(stubResult))
-      const result = yield libratoApi.getAllSpaces(optsFooBar)
-      expect(result).to.deep.equal({ spaces: '<all>' })
+    it('should post a new API token', function * () {
+      const r = yield libratoApi.postApiToken({ name: 'dashboard', role: 'viewer' })
+      expect(r).to.have.length(1)
+      expect(r[0]).to.deep.equal({
+        auth: { user: 'testuser', pass: 'testtoken' },
+        json: true,
+        url: 'http://url/v1/api_tokens',
+        method: 'POST',
+        body: { name: 'dashboard', role: 'viewer' }
+      })
     })
 
-    it('should get all alerts', function * () {
-      const stubResult = { alerts: '<all>' }
-      sinon.stub(libratoApi, 'getAllPaginated')
-        .withArgs(libratoApi.getAlerts, optsFooBar)
-        .returns(Promise.resolve(stubResult))
-      const result = yield libratoApi.getAllAlerts(optsFooBar)
-      expect(result).to.deep.equal({ alerts: '<all>' })
+    it('should put an API token', function * () {
+      const r = yield libratoApi.putApiToken('abc123', { active: false })
+      expect(r).to.have.length(1)
+      expect(r[0]).to.deep.equal({
+        auth: { user: 'testuser', pass: 'testtoken' },
+        json: true,
+        url: 'http://url/v1/api_tokens/abc123',
+        method: 'PUT',
+        body: { active: false }
+      })
     })
 
-    it('should get all services', function * () {
-      const stubResult = { services: '<all>' }
-      sinon.stub(libratoApi, 'getAllPaginated')
-        .withArgs(libratoApi.getServices, optsFooBar)
-        .returns(Promise.resolve(stubResult))
-      const result = yield libratoApi.getAllServices(optsFooBar)
-      expect(result).to.deep.equal({ services: '<all>' })
+    it('should delete an API token', function * () {
+      const r = yield libratoApi.deleteApiToken('abc123')
+      expect(r).to.have.length(1)
+      expect(r[0]).to.deep.equal({
+        auth: { user: 'testuser', pass: 'testtoken' },
+        json: true,
+        url: 'http://url/v1/api_tokens/abc123',
+        method: 'DELETE'
+      })
     })
 
-    it('should get all sources', function * () {
-      const stubResult = { sources: '<all>' }
-      sinon.stub(libratoApi, 'getAllPaginated')
-        .withArgs(libratoApi.getSources, optsFooBar)
-        .returns(Promise.resolve(stubResult))
-      const result = yield libratoApi.getAllSources(optsFooBar)
-      expect(result).to.deep.equal({ sources: '<all>' })
+    it('should post a new snapshot', function * () {
+      const snapshot = { subject: { chart: { id: 1, source: '*', type: 'line' } }, duration: 3600 }
+      const r = yield libratoApi.postSnapshot(snapshot)
+      expect(r).to.have.length(1)
+      expect(r[0]).to.deep.equal({
+        auth: { user: 'testuser', pass: 'testtoken' },
+        json: true,
+        url: 'http://url/v1/snapshots',
+        method: 'POST',
+        body: snapshot
+      })
     })
-  })
 
-  describe('(keyset pagination iteration helpers)', () => {
-    it('should iterate over and aggregate paginated results', function * () {
-      const getXs = sinon.stub()
-      getXs
-        .withArgs({ foo: 'bar', qs: { start_time: 5 } })
-        .resolves({ query: { next_time: 10 }, xs: { a: [1, 2, 3] }, abc: 'xyz' })
-      getXs
-        .withArgs({ foo: 'bar', qs: { start_time: 10 } })
-        .resolves({ query: { next_time: 20 }, xs: { a: [4], b: [5, 6] }, abc: 'xyz' })
-      getXs
-        .withArgs({ foo: 'bar', qs: { start_time: 20 } })
-        .resolves({ xs: { c: [7, 8, 9] }, abc: 'xyz' })
-      getXs.resultPath = 'xs'
+    it('should get a single snapshot', function * () {
+      const r = yield libratoApi.getSnapshot(12345)
+      expect(r).to.have.length(1)
+      expect(r[0]).to.deep.equal({
+        auth: { user: 'testuser', pass: 'testtoken' },
+        json: true,
+        url: 'http://url/v1/snapshots/12345'
+      })
+    })
 
-      const opts = { foo: 'bar', qs: { start_time: 5 } }
-      const result = yield libratoApi.getAllPaginatedKeyset(getXs, opts)
+    it('should get a job', function * () {
+      const r = yield libratoApi.getJob(12345)
+      expect(r).to.have.length(1)
+      expect(r[0]).to.deep.equal({
+        auth: { user: 'testuser', pass: 'testtoken' },
+        json: true,
+        url: 'http://url/v1/jobs/12345'
+      })
+    })
 
-      expect(result).to.eql({ xs : { a: [1, 2, 3, 4], b: [5, 6], c: [7, 8, 9] }, abc: 'xyz' })
-      expect(getXs)
-        .to.have.been.calledThrice
-        .and.to.have.always.been.calledOn(libratoApi)
+    it('should get annotation streams', function * () {
+      const r = yield libratoApi.getAnnotations()
+      expect(r).to.have.length(1)
+      expect(r[0]).to.deep.equal({
+        auth: { user: 'testuser', pass: 'testtoken' },
+        json: true,
+        url: 'http://url/v1/annotations'
+      })
     })
 
-    it('should bind optional arguments to paginated getter', function * () {
-      const getXs = sinon.stub()
-      getXs
-        .withArgs('argument 1', 'argument 2', optsFooBar)
-        .resolves({ xs: { a: [1, 2, 3] } })
-      getXs.resultPath = 'xs'
+    it('should support getAllPaginated for getAnnotations', function * () {
+      expect(libratoApi.getAnnotations).to.have.property('resultPath', 'annotations')
+    })
 
-      const result = yield libratoApi.getAllPaginatedKeyset(getXs, optsFooBar, 'argument 1', 'argument 2')
+    it('should get a single annotation stream with time frame', function * () {
+      const r = yield libratoApi.getAnnotationStream('deploys', { qs: { start_time: 100 } })
+      expect(r).to.have.length(1)
+      expect(r[0]).to.deep.equal({
+        auth: { user: 'testuser', pass: 'testtoken' },
+        json: true,
+        url: 'http://url/v1/annotations/deploys',
+        qs: { start_time: 100 }
+      })
+    })
 
-      expect(result).to.eql({ xs: { a: [1, 2, 3] } })
+    it('should get a single annotation event', function * () {
+      const r = yield libratoApi.getAnnotationEvent('deploys', 12345)
+      expect(r).to.have.length(1)
+      expect(r[0]).to.deep.equal({
+        auth: { user: 'testuser', pass: 'testtoken' },
+        json: true,
+        url: 'http://url/v1/annotations/deploys/12345'
+      })
     })
 
-    it('should set an empty object for the nonexistent result path', function * () {
-      const getXs = sinon.stub()
-      getXs
-        .withArgs(optsFooBar)
-        .resolves({ abc: 'xyz' })
-      getXs.resultPath = 'nonexistent'
+    it('should post a new annotation event with links', function * () {
+      const event = {
+        title: 'Deployed v42',
+        links: [{ rel: 'github', href: 'https://github.com/example/repo/releases/v42' }]
+      }
+      const r = yield libratoApi.postAnnotation('deploys', event)
+      expect(r).to.have.length(1)
+      expect(r[0]).to.deep.equal({
+        auth: { user: 'testuser', pass: 'testtoken' },
+        json: true,
+        url: 'http://url/v1/annotations/deploys',
+        method: 'POST',
+        body: event
+      })
+    })
 
-      const result = yield libratoApi.getAllPaginatedKeyset(getXs, optsFooBar)
+    it('should put an annotation stream', function * () {
+      const r = yield libratoApi.putAnnotation('deploys', { display_name: 'Deploys' })
+      expect(r).to.have.length(1)
+      expect(r[0]).to.deep.equal({
+        auth: { user: 'testuser', pass: 'testtoken' },
+        json: true,
+        url: 'http://url/v1/annotations/deploys',
+        method: 'PUT',
+        body: { display_name: 'Deploys' }
+      })
+    })
 
-      expect(result).to.eql({ nonexistent: {}, abc: 'xyz' })
+    it('should put an annotation event', function * () {
+      const r = yield libratoApi.putAnnotationEvent('deploys', 12345, { end_time: 200 })
+      expect(r).to.have.length(1)
+      expect(r[0]).to.deep.equal({
+        auth: { user: 'testuser', pass: 'testtoken' },
+        json: true,
+        url: 'http://url/v1/annotations/deploys/12345',
+        method: 'PUT',
+        body: { end_time: 200 }
+      })
     })
 
-    it('should assert valid paginated getter on getAllPaginatedKeyset call', function () {
-      const getXs = sinon.stub()
-      const getAllPaginatedOffset = () => libratoApi.getAllPaginated(getXs)
-      expect(getAllPaginatedOffset).to.throw('invalid paginatedGetter')
+    it('should delete an annotation stream', function * () {
+      const r = yield libratoApi.deleteAnnotation('deploys')
+      expect(r).to.have.length(1)
+      expect(r[0]).to.deep.equal({
+        auth: { user: 'testuser', pass: 'testtoken' },
+        json: true,
+        url: 'http://url/v1/annotations/deploys',
+        method: 'DELETE'
+      })
     })
 
-    it('should get all measurements', function * () {
-      const stubResult = { measurements: {} }
-      sinon.stub(libratoApi, 'getAllPaginatedKeyset')
-        .withArgs(libratoApi.getMetric, optsFooBar, 'metric')
-        .resolves(stubResult)
-      const result = yield libratoApi.getAllMeasurements('metric', optsFooBar)
-      expect(result).to.eql({ measurements: {} })
+    it('should delete an annotation event', function * () {
+      const r = yield libratoApi.deleteAnnotationEvent('deploys', 12345)
+      expect(r).to.have.length(1)
+      expect(r[0]).to.deep.equal({
+        auth: { user: 'testuser', pass: 'testtoken' },
+        json: true,
+        url: 'http://url/v1/annotations/deploys/12345',
+        method: 'DELETE'
+      })
     })
   })
 
-  describe('(custom finders)', () => {
-    it('should find a space by exact name', function * () {
-      sinon.stub(libratoApi, 'getAllPaginated')
-        .withArgs(libratoApi.getSpaces, { qs: { name: 'Test' } })
-        .returns(Promise.resolve([{ name: 'Test Space' }, { name: 'Test' }]))
-      const r = yield libratoApi.findSpaceByName('Test')
-      expect(r).to.be.eql({ name: 'Test' })
+  describe('(retries)', () => {
+    const statusCodeError = (statusCode, headers) =>
+      new StatusCodeError(statusCode, { errors: {} }, {}, { headers: headers || {} })
+
+    beforeEach(function * () {
+      libratoApi.retry = _.assign(libratoApi.retry, { baseDelay: 4, maxDelay: 10 })
+      libratoApi.request = sinon.stub()
+      sinon.stub(Math, 'random').returns(0.5)
     })
 
-    it('should fail to find a space by name', function * () {
-      sinon.stub(libratoApi, 'getAllPaginated')
-        .withArgs(libratoApi.getSpaces, { qs: { name: 'Test Space 2' } })
-        .returns(Promise.resolve([{ name: 'Test Space' }, { name: 'Test' }]))
-      yield expect(libratoApi.findSpaceByName('Test Space 2'))
-        .to.eventually.be.rejectedWith('no space named Test Space 2')
+    it('should have a default retry policy for idempotent methods', function * () {
+      expect(new LibratoApi.LibratoApi().retry).to.deep.equal({
+        maxAttempts: 3,
+        baseDelay: 500,
+        maxDelay: 30000,
+        statusCodes: [429, 500, 502, 503, 504],
+        methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']
+      })
     })
 
-    it('should find an alert by exact name', function * () {
-      sinon.stub(libratoApi, 'getAllPaginated')
-        .withArgs(libratoApi.getAlerts, { qs: { name: 'Test' } })
-        .returns(Promise.resolve([{ name: 'Test Alert' }, { name: 'Test' }]))
-      const r = yield libratoApi.findAlertByName('Test')
-      expect(r).to.be.eql({ name: 'Test' })
+    it('should replace retry options', function * () {
+      const retry = new LibratoApi.LibratoApi({ retry: { statusCodes: [503] } }).retry
+      expect(retry).to.have.property('statusCodes').which.eql([503])
+      expect(retry).to.have.property('maxAttempts', 3)
     })
 
-    it('should fail to find an alert by name', function * () {
-      sinon.stub(libratoApi, 'getAllPaginated')
-        .withArgs(libratoApi.getAlerts, { qs: { name: 'Test Alert 2' } })
+    it('should retry with exponential backoff and log with the request id', function * () {
+      libratoApi.request
+        .onFirstCall().rejects(statusCodeError(503))
+        .onSecondCall().rejects(statusCodeError(500))
+        .onThirdCall().resolves({ name: 'test.metric' })
+
+      const result = yield libratoApi.getMetric('test.metric')
+
+      expect(result).to.eql({ name: 'test.metric' })
+      expect(libratoApi.request).to.have.been.calledThrice
+      const requestId = libratoApi.logger.debug.firstCall.args[1].requestId
+      expect(libratoApi.logger.warn).to.have.been.calledTwice
+      expect(libratoApi.logger.warn.firstCall.args).to.eql([
+        'LibratoAPI#apiRequest retry',
+        { requestId, attempt: 1, statusCode: 503, delay: 2 }
+      ])
+      expect(libratoApi.logger.warn.secondCall.args).to.eql([
+        'LibratoAPI#apiRequest retry',
+        { requestId, attempt: 2, statusCode: 500, delay: 4 }
+      ])
+    })
+
+    it('should limit the backoff delay', function * () {
+      libratoApi.retry.maxAttempts = 5
+      libratoApi.request
+        .onCall(0).rejects(statusCodeError(503))
+        .onCall(1).rejects(statusCodeError(503))
+        .onCall(2).rejects(statusCodeError(503))
+        .onCall(3).rejects(statusCodeError(503))
+        .onCall(4).resolves({})
+
+      yield libratoApi.getMetrics()
+
+      expect(_.map('args.1.delay', libratoApi.logger.warn.getCalls())).to.eql([2, 4, 5, 5])
+    })
+
+    it('should give up after max attempts', function * () {
+      libratoApi.request.rejects(statusCodeError(429))
+
+      yield expect(libratoApi.getMetrics()).to.eventually.be.rejectedWith(LibratoApi.errors.RateLimitError)
+        .and.to.include({ statusCode: 429 })
+
+      expect(libratoApi.request).to.have.been.calledThrice
+      expect(libratoApi.logger.warn).to.have.been.calledTwice
+    })
+
+    it('should honour Retry-After in seconds', function * () {
+      libratoApi.request
+        .onFirstCall().rejects(statusCodeError(429, { 'retry-after': '0' }))
+        .onSecondCall().resolves({})
+
+      yield libratoApi.getMetrics()
+
+      expect(libratoApi.logger.warn.firstCall.args[1]).to.have.property('delay', 0)
+    })
+
+    it('should honour Retry-After as HTTP date', function * () {
+      const date = new Date(Date.now() - 1000).toUTCString()
+      libratoApi.request
+        .onFirstCall().rejects(statusCodeError(503, { 'retry-after': date }))
+        .onSecondCall().resolves({})
+
+      yield libratoApi.getMetrics()
+
+      expect(libratoApi.logger.warn.firstCall.args[1]).to.have.property('delay', 0)
+    })
+
+    it('should not retry if Retry-After in seconds exceeds the max delay', function * () {
+      libratoApi.request.rejects(statusCodeError(429, { 'retry-after': '1' }))
+
+      yield expect(libratoApi.getMetrics()).to.eventually.be.rejectedWith(LibratoApi.errors.RateLimitError)
+        .and.to.include({ statusCode: 429 })
+
+      expect(libratoApi.request).to.have.been.calledOnce
+      expect(libratoApi.logger.warn).not.to.have.been.called
+    })
+
+    it('should not retry if Retry-After as HTTP date exceeds the max delay', function * () {
+      const date = new Date(Date.now() + 60000).toUTCString()
+      libratoApi.request.rejects(statusCodeError(503, { 'retry-after': date }))
+
+      yield expect(libratoApi.getMetrics()).to.eventually.be.rejectedWith(LibratoApi.errors.LibratoApiError)
+        .and.to.include({ statusCode: 503 })
+
+      expect(libratoApi.request).to.have.been.calledOnce
+      expect(libratoApi.logger.warn).not.to.have.been.called
+    })
+
+    it('should not retry non idempotent methods by default', function * () {
+      libratoApi.request.rejects(statusCodeError(503))
+
+      yield expect(libratoApi.postSpace({ name: 'space1' })).to.eventually.be.rejectedWith(LibratoApi.errors.LibratoApiError)
+        .and.to.include({ statusCode: 503 })
+
+      expect(libratoApi.request).to.have.been.calledOnce
+    })
+
+    it('should retry non idempotent methods if configured', function * () {
+      libratoApi.retry.methods = ['POST']
+      libratoApi.request
+        .onFirstCall().rejects(statusCodeError(503))
+        .onSecondCall().resolves({ id: 1 })
+
+      const result = yield libratoApi.postSpace({ name: 'space1' })
+
+      expect(result).to.eql({ id: 1 })
+    })
+
+    it('should not retry other status codes or errors', function * () {
+      for (const error of [statusCodeError(400), statusCodeError(404), new Error('ECONNRESET')]) {
+        libratoApi.request = sinon.stub().rejects(error)
+        yield expect(libratoApi.getMetrics()).to.eventually.be.rejectedWith(error.message)
+        expect(libratoApi.request).to.have.been.calledOnce
+      }
+      expect(libratoApi.logger.warn).to.not.have.been.called
+    })
+  })
+
+  describe('(request scheduling)', () => {
+    const rateLimitHeaders = { 'x-librato-ratelimit-std': 'limit=300,remaining=200,reset=1384889100' }
+
+    it('should create a scheduler from options', function * () {
+      const scheduler = new LibratoApi.LibratoApi({ scheduler: { concurrency: 3 } }).scheduler
+      expect(scheduler).to.have.property('concurrency', 3)
+    })
+
+    it('should run requests through the scheduler', function * () {
+      sinon.spy(libratoApi.scheduler, 'schedule')
+      yield libratoApi.getMetrics()
+      expect(libratoApi.scheduler.schedule).to.have.been.calledOnce
+    })
+
+    it('should update the rate limit from request-promise responses', function * () {
+      libratoApi.request = () => {
+        const pendingRequest = Promise.resolve({})
+        pendingRequest.on = (event, listener) => {
+          expect(event).to.equal('response')
+          listener({ headers: rateLimitHeaders })
+        }
+        return pendingRequest
+      }
+      yield libratoApi.getMetrics()
+      expect(libratoApi.scheduler).to.have.property('remaining', 200)
+    })
+
+    it('should update the rate limit from error responses', function * () {
+      const error = new StatusCodeError(400, {}, {}, { headers: rateLimitHeaders })
+      libratoApi.request = sinon.stub().rejects(error)
+      yield expect(libratoApi.getMetrics()).to.eventually.be.rejectedWith(error.message)
+      expect(libratoApi.scheduler).to.have.property('remaining', 200)
+    })
+  })
+
+  describe('(long running jobs)', () => {
+    const queuedJob = { id: 123, state: 'queued' }
+    const workingJob = { id: 123, state: 'working', progress: 50 }
+    const completeJob = { id: 123, state: 'complete', progress: 100 }
+    const failedJob = { id: 123, state: 'failed', errors: { params: { name: ['is invalid'] } } }
+
+    beforeEach(function * () {
+      libratoApi.jobs = { wait: false, interval: 1, timeout: 1000 }
+    })
+
+    it('should not wait for jobs by default', function * () {
+      expect(new LibratoApi.LibratoApi().jobs).to.deep.equal({ wait: false, interval: 1000, timeout: 300000 })
+    })
+
+    it('should merge job options', function * () {
+      const jobs = new LibratoApi.LibratoApi({ jobs: { wait: true } }).jobs
+      expect(jobs).to.deep.equal({ wait: true, interval: 1000, timeout: 300000 })
+    })
+
+    it('should wait for a job to complete', function * () {
+      sinon.stub(libratoApi, 'getJob')
+        .onFirstCall().resolves(queuedJob)
+        .onSecondCall().resolves(workingJob)
+        .onThirdCall().resolves(completeJob)
+
+      const result = yield libratoApi.waitForJob(queuedJob)
+
+      expect(result).to.equal(completeJob)
+      expect(libratoApi.getJob).to.have.been.calledThrice.and.always.calledWithExactly(123)
+    })
+
+    it('should wait for a job given by id', function * () {
+      sinon.stub(libratoApi, 'getJob').withArgs(123).resolves(completeJob)
+      const result = yield libratoApi.waitForJob(123)
+      expect(result).to.equal(completeJob)
+    })
+
+    it('should fail with job errors', function * () {
+      sinon.stub(libratoApi, 'getJob').resolves(failedJob)
+      const p = libratoApi.waitForJob(123)
+      yield expect(p).to.eventually.be.rejectedWith(LibratoApi.errors.LibratoApiError, 'job 123 failed')
+        .and.to.have.nested.property('error.errors').which.eql({ params: { name: ['is invalid'] } })
+    })
+
+    it('should fail on canceled jobs', function * () {
+      sinon.stub(libratoApi, 'getJob').resolves({ id: 123, state: 'canceled' })
+      const p = libratoApi.waitForJob(123)
+      yield expect(p).to.eventually.be.rejectedWith('job 123 canceled')
+        .and.to.have.nested.property('error.errors').which.eql({ request: ['job canceled'] })
+    })
+
+    it('should fail on timeout', function * () {
+      sinon.stub(libratoApi, 'getJob').resolves(workingJob)
+      const p = libratoApi.waitForJob(123, { interval: 10, timeout: 5 })
+      yield expect(p).to.eventually.be.rejectedWith('job 123 did not finish within 5ms')
+        .and.to.have.nested.property('error.errors').which.eql({ request: ['timeout waiting for job 123'] })
+      expect(libratoApi.getJob).to.have.been.calledOnce
+    })
+
+    it('should let apiRequest wait for jobs if enabled', function * () {
+      libratoApi.jobs.wait = true
+      libratoApi.request = sinon.stub().resolves(queuedJob)
+      sinon.stub(libratoApi, 'getJob').resolves(completeJob)
+
+      const result = yield libratoApi.deleteMetric('test.metric')
+
+      expect(result).to.equal(completeJob)
+      expect(libratoApi.getJob).to.have.been.calledOnce
+    })
+
+    it('should not let apiRequest wait for jobs if disabled', function * () {
+      libratoApi.request = sinon.stub().resolves(queuedJob)
+      sinon.spy(libratoApi, 'getJob')
+
+      const result = yield libratoApi.deleteMetric('test.metric')
+
+      expect(result).to.equal(queuedJob)
+      expect(libratoApi.getJob).to.not.have.been.called
+    })
+
+    it('should let apiRequest ignore results which are no jobs', function * () {
+      libratoApi.jobs.wait = true
+      const notJobs = [[queuedJob], { id: 'x', state: 'queued' }, { id: 1, state: 'x' }, { id: 1, state: 'complete', name: 'x' }]
+      sinon.spy(libratoApi, 'getJob')
+
+      for (const notJob of notJobs) {
+        libratoApi.request = sinon.stub().resolves(notJob)
+        const result = yield libratoApi.getMetrics()
+        expect(result).to.equal(notJob)
+      }
+      expect(libratoApi.getJob).to.not.have.been.called
+    })
+  })
+
+  describe('(snapshots)', () => {
+    const pendingSnapshot = { href: 'http://url/v1/snapshots/456', image_href: null }
+    const readySnapshot = { href: 'http://url/v1/snapshots/456', image_href: 'http://images/456.png' }
+
+    beforeEach(function * () {
+      libratoApi.jobs = { wait: false, interval: 1, timeout: 1000 }
+    })
+
+    it('should wait for a snapshot image', function * () {
+      sinon.stub(libratoApi, 'getSnapshot')
+        .onFirstCall().resolves(pendingSnapshot)
+        .onSecondCall().resolves(readySnapshot)
+
+      const result = yield libratoApi.waitForSnapshot(pendingSnapshot)
+
+      expect(result).to.equal(readySnapshot)
+      expect(libratoApi.getSnapshot).to.have.been.calledTwice.and.always.calledWithExactly('456')
+    })
+
+    it('should wait for a snapshot given by id', function * () {
+      sinon.stub(libratoApi, 'getSnapshot').withArgs(456).resolves(readySnapshot)
+      const result = yield libratoApi.waitForSnapshot(456)
+      expect(result).to.equal(readySnapshot)
+    })
+
+    it('should fail to wait for a snapshot on timeout', function * () {
+      sinon.stub(libratoApi, 'getSnapshot').resolves(pendingSnapshot)
+      const p = libratoApi.waitForSnapshot(456, { interval: 10, timeout: 5 })
+      yield expect(p).to.eventually.be.rejectedWith('snapshot 456 did not finish within 5ms')
+    })
+
+    it('should download a snapshot image without auth', function * () {
+      const r = yield libratoApi.getSnapshotImage(readySnapshot, { timeout: 100 })
+      expect(r).to.deep.equal([{ url: 'http://images/456.png', encoding: null, timeout: 100 }])
+    })
+
+    it('should fail to download a missing image with a typed error', function * () {
+      libratoApi.request = () => Promise.reject(new StatusCodeError(404, 'gone', {}, { headers: {} }))
+      yield expect(libratoApi.getSnapshotImage(readySnapshot))
+        .to.eventually.be.rejectedWith(LibratoApi.errors.NotFoundError)
+    })
+  })
+
+  describe('(pagination iteration helpers)', () => {
+    it('should iterate over and aggregate paginated results', function * () {
+      const getXs = sinon.stub()
+      getXs
+        .withArgs({ foo: 'bar', qs: { offset: 0 } })
+        .returns(Promise.resolve({ query: { offset: 0, length: 3, found: 8 }, xs: [1, 2, 3] }))
+      getXs
+        .withArgs({ foo: 'bar', qs: { offset: 3 } })
+        .returns(Promise.resolve({ query: { offset: 3, length: 3, found: 8 }, xs: [4, 5, 6] }))
+      getXs
+        .withArgs({ foo: 'bar', qs: { offset: 6 } })
+        .returns(Promise.resolve({ query: { offset: 6, length: 2, found: 8 }, xs: [7, 8] }))
+      getXs.resultPath = 'xs'
+
+      const result = yield libratoApi.getAllPaginated(getXs, optsFooBar)
+
+      expect(result).to.eql([1, 2, 3, 4, 5, 6, 7, 8])
+      expect(getXs)
+        .to.have.been.calledThrice
+        .and.to.have.always.been.calledOn(libratoApi)
+    })
+
+    it('should fetch remaining pages in parallel if configured', function * () {
+      libratoApi.pagination.concurrency = 2
+      const deferredPage = () => {
+        let resolve
+        const promise = new Promise(r => { resolve = r })
+        promise.resolve = resolve
+        return promise
+      }
+      const pages = [deferredPage(), deferredPage(), deferredPage()]
+      const getXs = sinon.stub()
+      getXs
+        .withArgs({ foo: 'bar', qs: { offset: 0 } })
+        .resolves({ query: { offset: 0, length: 2, found: 7 }, xs: [1, 2] })
+      getXs.withArgs({ foo: 'bar', qs: { offset: 2 } }).returns(pages[0])
+      getXs.withArgs({ foo: 'bar', qs: { offset: 4 } }).returns(pages[1])
+      getXs.withArgs({ foo: 'bar', qs: { offset: 6 } }).returns(pages[2])
+      getXs.resultPath = 'xs'
+
+      const result = libratoApi.getAllPaginated(getXs, optsFooBar)
+      yield new Promise(resolve => setImmediate(resolve))
+
+      expect(getXs).to.have.been.calledThrice.and.always.calledOn(libratoApi)
+      pages[1].resolve({ query: { offset: 4, length: 2, found: 7 }, xs: [5, 6] })
+      yield new Promise(resolve => setImmediate(resolve))
+      expect(getXs).to.have.callCount(4)
+      pages[2].resolve({ query: { offset: 6, length: 1, found: 7 }, xs: [7] })
+      pages[0].resolve({ query: { offset: 2, length: 2, found: 7 }, xs: [3, 4] })
+
+      expect(yield result).to.eql([1, 2, 3, 4, 5, 6, 7])
+    })
+
+    it('should fetch a single page only in parallel mode', function * () {
+      libratoApi.pagination.concurrency = 4
+      const getXs = sinon.stub()
+      getXs
+        .withArgs({ qs: { offset: 0 } })
+        .resolves({ query: { offset: 0, length: 2, found: 2 }, xs: [1, 2] })
+      getXs.resultPath = 'xs'
+
+      expect(yield libratoApi.getAllPaginated(getXs)).to.eql([1, 2])
+      expect(getXs).to.have.been.calledOnce
+    })
+
+    it('should stop on empty pages in parallel mode', function * () {
+      libratoApi.pagination.concurrency = 4
+      const getXs = sinon.stub()
+        .resolves({ query: { offset: 0, length: 0, found: 2 }, xs: [] })
+      getXs.resultPath = 'xs'
+
+      expect(yield libratoApi.getAllPaginated(getXs)).to.eql([])
+      expect(getXs).to.have.been.calledOnce
+    })
+
+    it('should fetch pages sequentially by default', function * () {
+      expect(new LibratoApi.LibratoApi().pagination).to.eql({ concurrency: 1 })
+    })
+
+    it('should assert valid paginated getter on getAllPaginated call', function * () {
+      const getXs = sinon.stub()
+      // this really is asserted before a Promise is built, because it violates the call contract
+      expect(() => libratoApi.getAllPaginated(getXs)).to.throw('invalid paginatedGetter')
+    })
+
+    it('should get all metrics', function * () {
+      const stubResult = { metrics: '<all>' }
+      sinon.stub(libratoApi, 'getAllPaginated')
+        .withArgs(libratoApi.getMetrics, optsFooBar)
+        .returns(Promise.resolve(stubResult))
+      const result = yield libratoApi.getAllMetrics(optsFooBar)
+      expect(result).to.deep.equal({ metrics: '<all>' })
+    })
+
+    it('should get all spaces', function * () {
+      const stubResult = { spaces: '<all>' }
+      sinon.stub(libratoApi, 'getAllPaginated')
+        .withArgs(libratoApi.getSpaces, optsFooBar)
+        .returns(Promise.resolve(stubResult))
+      const result = yield libratoApi.getAllSpaces(optsFooBar)
+      expect(result).to.deep.equal({ spaces: '<all>' })
+    })
+
+    it('should get all alerts', function * () {
+      const stubResult = { alerts: '<all>' }
+      sinon.stub(libratoApi, 'getAllPaginated')
+        .withArgs(libratoApi.getAlerts, optsFooBar)
+        .returns(Promise.resolve(stubResult))
+      const result = yield libratoApi.getAllAlerts(optsFooBar)
+      expect(result).to.deep.equal({ alerts: '<all>' })
+    })
+
+    it('should get all services', function * () {
+      const stubResult = { services: '<all>' }
+      sinon.stub(libratoApi, 'getAllPaginated')
+        .withArgs(libratoApi.getServices, optsFooBar)
+        .returns(Promise.resolve(stubResult))
+      const result = yield libratoApi.getAllServices(optsFooBar)
+      expect(result).to.deep.equal({ services: '<all>' })
+    })
+
+    it('should get all sources', function * () {
+      const stubResult = { sources: '<all>' }
+      sinon.stub(libratoApi, 'getAllPaginated')
+        .withArgs(libratoApi.getSources, optsFooBar)
+        .returns(Promise.resolve(stubResult))
+      const result = yield libratoApi.getAllSources(optsFooBar)
+      expect(result).to.deep.equal({ sources: '<all>' })
+    })
+
+    it('should get all API tokens', function * () {
+      const stubResult = { api_tokens: '<all>' }
+      sinon.stub(libratoApi, 'getAllPaginated')
+        .withArgs(libratoApi.getApiTokens, optsFooBar)
+        .returns(Promise.resolve(stubResult))
+      const result = yield libratoApi.getAllApiTokens(optsFooBar)
+      expect(result).to.deep.equal({ api_tokens: '<all>' })
+    })
+
+    it('should get all annotation streams', function * () {
+      const stubResult = { annotations: '<all>' }
+      sinon.stub(libratoApi, 'getAllPaginated')
+        .withArgs(libratoApi.getAnnotations, optsFooBar)
+        .returns(Promise.resolve(stubResult))
+      const result = yield libratoApi.getAllAnnotations(optsFooBar)
+      expect(result).to.deep.equal({ annotations: '<all>' })
+    })
+  })
+
+  describe('(keyset pagination iteration helpers)', () => {
+    it('should iterate over and aggregate paginated results', function * () {
+      const getXs = sinon.stub()
+      getXs
+        .withArgs({ foo: 'bar', qs: { start_time: 5 } })
+        .resolves({ query: { next_time: 10 }, xs: { a: [1, 2, 3] }, abc: 'xyz' })
+      getXs
+        .withArgs({ foo: 'bar', qs: { start_time: 10 } })
+        .resolves({ query: { next_time: 20 }, xs: { a: [4], b: [5, 6] }, abc: 'xyz' })
+      getXs
+        .withArgs({ foo: 'bar', qs: { start_time: 20 } })
+        .resolves({ xs: { c: [7, 8, 9] }, abc: 'xyz' })
+      getXs.resultPath = 'xs'
+
+      const opts = { foo: 'bar', qs: { start_time: 5 } }
+      const result = yield libratoApi.getAllPaginatedKeyset(getXs, opts)
+
+      expect(result).to.eql({ xs : { a: [1, 2, 3, 4], b: [5, 6], c: [7, 8, 9] }, abc: 'xyz' })
+      expect(getXs)
+        .to.have.been.calledThrice
+        .and.to.have.always.been.calledOn(libratoApi)
+    })
+
+    it('should bind optional arguments to paginated getter', function * () {
+      const getXs = sinon.stub()
+      getXs
+        .withArgs('argument 1', 'argument 2', optsFooBar)
+        .resolves({ xs: { a: [1, 2, 3] } })
+      getXs.resultPath = 'xs'
+
+      const result = yield libratoApi.getAllPaginatedKeyset(getXs, optsFooBar, 'argument 1', 'argument 2')
+
+      expect(result).to.eql({ xs: { a: [1, 2, 3] } })
+    })
+
+    it('should set an empty object for the nonexistent result path', function * () {
+      const getXs = sinon.stub()
+      getXs
+        .withArgs(optsFooBar)
+        .resolves({ abc: 'xyz' })
+      getXs.resultPath = 'nonexistent'
+
+      const result = yield libratoApi.getAllPaginatedKeyset(getXs, optsFooBar)
+
+      expect(result).to.eql({ nonexistent: {}, abc: 'xyz' })
+    })
+
+    it('should assert valid paginated getter on getAllPaginatedKeyset call', function () {
+      const getXs = sinon.stub()
+      const getAllPaginatedOffset = () => libratoApi.getAllPaginated(getXs)
+      expect(getAllPaginatedOffset).to.throw('invalid paginatedGetter')
+    })
+
+    it('should merge tagged measurement series by tags', function * () {
+      const us = { region: 'us' }
+      const eu = { region: 'eu' }
+      libratoApi.request = sinon.stub()
+      libratoApi.request.onFirstCall().resolves({
+        query: { next_time: 20 },
+        series: [{ tags: us, measurements: [{ time: 10, value: 1 }] }],
+        name: 'router.bytes'
+      })
+      libratoApi.request.onSecondCall().resolves({
+        query: { next_time: 30 },
+        series: [{ tags: eu, measurements: [{ time: 20, value: 2 }] }],
+        name: 'router.bytes'
+      })
+      libratoApi.request.onThirdCall().resolves({
+        series: [{ tags: us, measurements: [{ time: 30, value: 3 }] }, { tags: eu, measurements: [] }],
+        name: 'router.bytes'
+      })
+
+      const opts = { qs: { start_time: 10 } }
+      const result = yield libratoApi.getAllTaggedMeasurements('router.bytes', { tags: { region: '*' } }, opts)
+
+      expect(result).to.eql({
+        series: [
+          { tags: us, measurements: [{ time: 10, value: 1 }, { time: 30, value: 3 }] },
+          { tags: eu, measurements: [{ time: 20, value: 2 }] }
+        ],
+        name: 'router.bytes'
+      })
+      expect(libratoApi.request.thirdCall.args[0]).to.have.property('qs')
+        .which.eql({ tags: { region: '*' }, start_time: 30 })
+    })
+
+    it('should merge empty tagged measurement pages', function * () {
+      libratoApi.request = sinon.stub().resolves({ name: 'router.bytes' })
+      const result = yield libratoApi.getAllTaggedMeasurements('router.bytes')
+      expect(result).to.eql({ series: [], name: 'router.bytes' })
+    })
+
+    it('should get all tagged measurements', function * () {
+      const stubResult = { series: [] }
+      const query = { tags: { region: 'us' } }
+      sinon.stub(libratoApi, 'getAllPaginatedKeyset')
+        .withArgs(libratoApi.getMeasurements, optsFooBar, 'metric', query)
+        .resolves(stubResult)
+      const result = yield libratoApi.getAllTaggedMeasurements('metric', query, optsFooBar)
+      expect(result).to.eql({ series: [] })
+    })
+
+    it('should get all measurements', function * () {
+      const stubResult = { measurements: {} }
+      sinon.stub(libratoApi, 'getAllPaginatedKeyset')
+        .withArgs(libratoApi.getMetric, optsFooBar, 'metric')
+        .resolves(stubResult)
+      const result = yield libratoApi.getAllMeasurements('metric', optsFooBar)
+      expect(result).to.eql({ measurements: {} })
+    })
+  })
+
+  describe('(pagination iterators)', () => {
+    function createGetXs () {
+      const getXs = sinon.stub()
+      getXs
+        .withArgs({ foo: 'bar', qs: { offset: 0 } })
+        .resolves({ query: { offset: 0, length: 2, found: 5 }, xs: [1, 2] })
+      getXs
+        .withArgs({ foo: 'bar', qs: { offset: 2 } })
+        .resolves({ query: { offset: 2, length: 2, found: 5 }, xs: [] })
+      getXs
+        .withArgs({ foo: 'bar', qs: { offset: 4 } })
+        .resolves({ query: { offset: 4, length: 1, found: 5 }, xs: [5] })
+      getXs.resultPath = 'xs'
+      return getXs
+    }
+
+    it('should iterate over paginated results fetching pages on demand', function * () {
+      const getXs = createGetXs()
+      const xs = libratoApi.iteratePaginated(getXs, optsFooBar)
+
+      expect(getXs).to.not.have.been.called
+      expect(yield xs.next()).to.eql({ value: 1, done: false })
+      expect(getXs).to.have.been.calledOnce.and.calledOn(libratoApi)
+      expect(yield xs.next()).to.eql({ value: 2, done: false })
+      expect(getXs).to.have.been.calledOnce
+      expect(yield xs.next()).to.eql({ value: 5, done: false })
+      expect(getXs).to.have.been.calledThrice
+      expect(yield xs.next()).to.eql({ value: undefined, done: true })
+      expect(yield xs.next()).to.eql({ value: undefined, done: true })
+      expect(getXs).to.have.been.calledThrice
+    })
+
+    it('should serve concurrent next calls in order', function * () {
+      const xs = libratoApi.iteratePaginated(createGetXs(), optsFooBar)
+      const results = yield [xs.next(), xs.next(), xs.next(), xs.next()]
+      expect(_.map('value', results)).to.eql([1, 2, 5, undefined])
+    })
+
+    it('should stop iterating early', function * () {
+      const getXs = createGetXs()
+      const xs = libratoApi.iteratePaginated(getXs, optsFooBar)
+
+      yield xs.next()
+      expect(yield xs.return('stopped')).to.eql({ value: 'stopped', done: true })
+      expect(yield xs.next()).to.eql({ value: undefined, done: true })
+      expect(getXs).to.have.been.calledOnce
+    })
+
+    it('should be an async iterable', function * () {
+      const xs = libratoApi.iteratePaginated(createGetXs(), optsFooBar)
+      expect(xs[Symbol.asyncIterator]()).to.equal(xs)
+    })
+
+    it('should be an async iterable by a registered symbol without Symbol.asyncIterator', function * () {
+      // Symbol.asyncIterator is read-only, so load index.js again with a Symbol lacking it
+      const indexPath = require.resolve('./index')
+      const indexModule = require.cache[indexPath]
+      const OriginalSymbol = global.Symbol
+      global.Symbol = _.assign(description => OriginalSymbol(description), {
+        for: OriginalSymbol.for,
+        iterator: OriginalSymbol.iterator
+      })
+      delete require.cache[indexPath]
+      let OldNodeLibratoApi
+      try {
+        OldNodeLibratoApi = require('./index').LibratoApi
+      } finally {
+        global.Symbol = OriginalSymbol
+        require.cache[indexPath] = indexModule
+      }
+
+      const xs = new OldNodeLibratoApi().iteratePaginated(createGetXs(), optsFooBar)
+      expect(xs[Symbol.for('Symbol.asyncIterator')]()).to.equal(xs)
+      expect(xs[Symbol.asyncIterator]).to.be.undefined
+    })
+
+    it('should reject next on page errors and allow to retry', function * () {
+      const getXs = sinon.stub()
+      getXs.onFirstCall().rejects(new Error('page failed'))
+      getXs.onSecondCall().resolves({ query: { offset: 0, length: 1, found: 1 }, xs: [1] })
+      getXs.resultPath = 'xs'
+      const xs = libratoApi.iteratePaginated(getXs)
+
+      yield expect(xs.next()).to.eventually.be.rejectedWith('page failed')
+      expect(yield xs.next()).to.eql({ value: 1, done: false })
+    })
+
+    it('should assert valid paginated getter on iteratePaginated call', function * () {
+      expect(() => libratoApi.iteratePaginated(sinon.stub())).to.throw('invalid paginatedGetter')
+    })
+
+    it('should iterate over keyset paginated results', function * () {
+      const getXs = sinon.stub()
+      getXs
+        .withArgs('arg', { foo: 'bar', qs: { start_time: 5 } })
+        .resolves({ query: { next_time: 10 }, xs: { a: [1, 2] } })
+      getXs
+        .withArgs('arg', { foo: 'bar', qs: { start_time: 10 } })
+        .resolves({ xs: { a: [3] } })
+      getXs.resultPath = 'xs'
+
+      const xs = libratoApi.iteratePaginatedKeyset(getXs, { foo: 'bar', qs: { start_time: 5 } }, 'arg')
+
+      expect(yield xs.next()).to.eql({ value: { a: [1, 2] }, done: false })
+      expect(getXs).to.have.been.calledOnce
+      expect(yield xs.next()).to.eql({ value: { a: [3] }, done: false })
+      expect(yield xs.next()).to.eql({ value: undefined, done: true })
+      expect(getXs).to.have.been.calledTwice.and.always.calledOn(libratoApi)
+    })
+
+    it('should assert valid paginated getter on iteratePaginatedKeyset call', function * () {
+      expect(() => libratoApi.iteratePaginatedKeyset(sinon.stub())).to.throw('invalid paginatedGetter')
+    })
+
+    const iterators = [
+      ['iterateMetrics', 'getMetrics'],
+      ['iterateSpaces', 'getSpaces'],
+      ['iterateAlerts', 'getAlerts'],
+      ['iterateServices', 'getServices'],
+      ['iterateSources', 'getSources']
+    ]
+    _.forEach(names => {
+      const iterate = names[0]
+      const getter = names[1]
+      it(`should ${iterate}`, function * () {
+        const iterator = {}
+        sinon.stub(libratoApi, 'iteratePaginated')
+          .withArgs(libratoApi[getter], optsFooBar)
+          .returns(iterator)
+        expect(libratoApi[iterate](optsFooBar)).to.equal(iterator)
+      })
+    }, iterators)
+
+    it('should iterateMeasurements', function * () {
+      const iterator = {}
+      sinon.stub(libratoApi, 'iteratePaginatedKeyset')
+        .withArgs(libratoApi.getMetric, optsFooBar, 'metric')
+        .returns(iterator)
+      expect(libratoApi.iterateMeasurements('metric', optsFooBar)).to.equal(iterator)
+    })
+
+    it('should iterateTaggedMeasurements', function * () {
+      const iterator = {}
+      const query = { tags: { region: 'us' } }
+      sinon.stub(libratoApi, 'iteratePaginatedKeyset')
+        .withArgs(libratoApi.getMeasurements, optsFooBar, 'metric', query)
+        .returns(iterator)
+      expect(libratoApi.iterateTaggedMeasurements('metric', query, optsFooBar)).to.equal(iterator)
+    })
+  })
+
+  describe('(custom finders)', () => {
+    it('should find a space by exact name', function * () {
+      sinon.stub(libratoApi, 'getAllPaginated')
+        .withArgs(libratoApi.getSpaces, { qs: { name: 'Test' } })
+        .returns(Promise.resolve([{ name: 'Test Space' }, { name: 'Test' }]))
+      const r = yield libratoApi.findSpaceByName('Test')
+      expect(r).to.be.eql({ name: 'Test' })
+    })
+
+    it('should fail to find a space by name', function * () {
+      sinon.stub(libratoApi, 'getAllPaginated')
+        .withArgs(libratoApi.getSpaces, { qs: { name: 'Test Space 2' } })
+        .returns(Promise.resolve([{ name: 'Test Space' }, { name: 'Test' }]))
+      yield expect(libratoApi.findSpaceByName('Test Space 2'))
+        .to.eventually.be.rejectedWith(LibratoApi.errors.NotFoundError, 'no space named Test Space 2')
+        .and.to.include({ statusCode: 404 })
+    })
+
+    it('should find an alert by exact name', function * () {
+      sinon.stub(libratoApi, 'getAllPaginated')
+        .withArgs(libratoApi.getAlerts, { qs: { name: 'Test' } })
+        .returns(Promise.resolve([{ name: 'Test Alert' }, { name: 'Test' }]))
+      const r = yield libratoApi.findAlertByName('Test')
+      expect(r).to.be.eql({ name: 'Test' })
+    })
+
+    it('should fail to find an alert by name', function * () {
+      sinon.stub(libratoApi, 'getAllPaginated')
+        .withArgs(libratoApi.getAlerts, { qs: { name: 'Test Alert 2' } })
         .returns(Promise.resolve([{ name: 'Test Alert' }, { name: 'Test' }]))
       yield expect(libratoApi.findAlertByName('Test Alert 2'))
         .to.eventually.be.rejectedWith('no alert named Test Alert 2')
@@ -773,6 +1625,21 @@ describe('A test LibratoApi', () => {
       yield expect(libratoApi.findServiceByTitle('Test Service 2'))
         .to.eventually.be.rejectedWith('no service named Test Service 2')
     })
+    it('should find a chart by exact name', function * () {
+      sinon.stub(libratoApi, 'getCharts')
+        .withArgs(333)
+        .resolves([chart1, chart2])
+      const r = yield libratoApi.findChartByName(333, 'chart2')
+      expect(r).to.equal(chart2)
+    })
+
+    it('should fail to find a chart by name', function * () {
+      sinon.stub(libratoApi, 'getCharts')
+        .withArgs(333)
+        .resolves([chart1, chart2])
+      yield expect(libratoApi.findChartByName(333, 'chart3'))
+        .to.eventually.be.rejectedWith('no chart named chart3')
+    })
   })
 
   describe('(space and chart ops)', () => {
@@ -805,6 +1672,38 @@ describe('A test LibratoApi', () => {
       })
     })
 
+    it('should dump a space with tag based streams', function * () {
+      const taggedStream = {
+        id: 1013,
+        type: 'gauge',
+        metric: 'router.bytes',
+        source: null,
+        tags: [{ name: 'region', grouped: true, values: ['*'] }],
+        group_function: 'sum'
+      }
+      sinon.stub(libratoApi, 'findSpaceByName')
+        .withArgs('space1')
+        .resolves({ name: 'space1', id: 333 })
+      sinon.stub(libratoApi, 'getCharts')
+        .withArgs(333)
+        .resolves([{ name: 'chart1', id: 101, type: 'line', streams: [taggedStream] }])
+
+      const r = yield libratoApi.dumpSpace('space1')
+
+      expect(r).to.be.eql({
+        name: 'space1',
+        charts: [{
+          name: 'chart1',
+          type: 'line',
+          streams: [{
+            metric: 'router.bytes',
+            tags: [{ name: 'region', grouped: true, values: ['*'] }],
+            group_function: 'sum'
+          }]
+        }]
+      })
+    })
+
     it('should fail to dump a space', function * () {
       sinon.stub(libratoApi, 'findSpaceByName')
         .withArgs('space1')
@@ -869,7 +1768,8 @@ describe('A test LibratoApi', () => {
       const deleteSpy = sinon.spy(libratoApi, 'deleteChart')
 
       yield expect(libratoApi.createOrUpdateSpace(space1b))
-        .to.eventually.be.rejectedWith('empty chart name in space space1')
+        .to.eventually.be.rejectedWith(LibratoApi.errors.ValidationError, 'empty chart name in space space1')
+        .and.to.have.property('params').which.eql({ charts: ['empty chart name in space space1'] })
 
       expect(postSpy).to.not.have.been.called
       expect(putSpy).to.not.have.been.called
@@ -888,7 +1788,7 @@ describe('A test LibratoApi', () => {
       const deleteSpy = sinon.spy(libratoApi, 'deleteChart')
 
       yield expect(libratoApi.createOrUpdateSpace(space1c))
-        .to.eventually.be.rejectedWith('duplicate chart names in space space1')
+        .to.eventually.be.rejectedWith(LibratoApi.errors.ValidationError, 'duplicate chart names in space space1')
 
       expect(postSpy).to.not.have.been.called
       expect(putSpy).to.not.have.been.called
@@ -915,8 +1815,11 @@ describe('A test LibratoApi', () => {
         .returns(Promise.reject(chartErr(['bad delete params'])))
 
       const p = libratoApi.createOrUpdateSpace(space1a)
-      yield expect(p).to.eventually.be.rejectedWith('some chart operations failed in space space1')
+      yield expect(p).to.eventually.be.rejectedWith(
+        LibratoApi.errors.AggregateOperationError, 'some chart operations failed in space space1'
+      )
       yield p.catch(err => {
+        expect(err.errors).to.equal(err.error.errors)
         expect(err).to.have.nested.property('error.errors').which.eql([
           { chart: 'chart2', op: 'delete', errors: ['bad delete params'] },
           { chart: 'chart1', op: 'update', errors: ['bad put params'] },
@@ -927,6 +1830,62 @@ describe('A test LibratoApi', () => {
   })
 
   describe('(alert & service)', () => {
+    it('should dump an alert with service titles', function * () {
+      sinon.stub(libratoApi, 'findAlertByName')
+        .withArgs('alert1')
+        .returns(Promise.resolve({
+          id: 101,
+          name: 'alert1',
+          conditions: [{ id: 7, type: 'above', metric_name: 'm1', threshold: 1 }],
+          services: [service1, 3],
+          created_at: 1484588756,
+          updated_at: 1484588756,
+          rearm_seconds: 600
+        }))
+      sinon.stub(libratoApi, 'getAllServices')
+        .returns(Promise.resolve(services))
+
+      const result = yield libratoApi.dumpAlert('alert1')
+
+      expect(result).to.eql({
+        name: 'alert1',
+        conditions: [{ type: 'above', metric_name: 'm1', threshold: 1 }],
+        services: ['service1', 'service3'],
+        rearm_seconds: 600
+      })
+    })
+
+    it('should dump an alert with embedded services only', function * () {
+      sinon.stub(libratoApi, 'findAlertByName')
+        .returns(Promise.resolve({ id: 101, name: 'alert1', conditions: [], services: [service2] }))
+      sinon.spy(libratoApi, 'getAllServices')
+
+      const result = yield libratoApi.dumpAlert('alert1')
+
+      expect(result).to.eql({ name: 'alert1', conditions: [], services: ['service2'] })
+      expect(libratoApi.getAllServices).to.not.have.been.called
+    })
+
+    it('should fail to dump an alert with an unknown service', function * () {
+      sinon.stub(libratoApi, 'findAlertByName')
+        .returns(Promise.resolve(oldAlert1))
+      sinon.stub(libratoApi, 'getAllServices')
+        .returns(Promise.resolve([service1]))
+
+      yield expect(libratoApi.dumpAlert('alert1'))
+        .to.eventually.be.rejectedWith(LibratoApi.errors.NotFoundError, 'no service named 3')
+    })
+
+    it('should dump a service', function * () {
+      sinon.stub(libratoApi, 'findServiceByTitle')
+        .withArgs('service3')
+        .returns(Promise.resolve(oldService3))
+
+      const result = yield libratoApi.dumpService('service3')
+
+      expect(result).to.eql({ title: 'service3', old: true })
+    })
+
     it('should create an alert', function * () {
       sinon.stub(libratoApi, 'getAllServices')
         .returns(Promise.resolve(services))
@@ -1012,6 +1971,21 @@ describe('A test LibratoApi', () => {
   })
 
   describe('(config management)', () => {
+    const service = { title: 'Developers List', type: 'mail', settings: { addresses: 'devs@example.com' } }
+    const alert = {
+      name: 'system.dynos.too_many',
+      conditions: [{ type: 'above', metric_name: 'system.dynos', threshold: 10 }],
+      services: ['Developers List']
+    }
+    const createFake = options => createFakeLibrato(_.assign({
+      pageSize: 5,
+      metrics: processedExampleConfig.metrics,
+      spaces: processedExampleConfig.spaces,
+      alerts: [alert],
+      services: [service],
+      sources: processedExampleConfig.sources
+    }, options))
+
     it('should process empty raw config', function * () {
       const rawConfig = { }
       const config = libratoApi._processRawConfig(rawConfig)
@@ -1025,5 +1999,708 @@ describe('A test LibratoApi', () => {
       const config = libratoApi._processRawConfig(exampleConfig)
       expect(config).to.deep.equal(processedExampleConfig)
     })
+
+    it('should merge overlays over a raw config by element name', function * () {
+      const base = {
+        metrics: { __default__: { name: '__default__', period: 60 }, system: [{ name: 'm1' }, { name: 'm2', attributes: { color: 'red' } }] },
+        spaces: {
+          system: {
+            name: 'System',
+            charts: [
+              { name: 'A', streams: [{ metric: 'm1' }, { metric: 'm2' }] },
+              { name: 'B', streams: [{ metric: 'm2' }] }
+            ]
+          }
+        },
+        alerts: { alerts: [{ name: 'a1', conditions: [{ type: 'above', metric_name: 'm1', threshold: 10 }], services: ['Ops'] }] },
+        services: { ops: { title: 'Ops', type: 'mail', settings: { addresses: 'ops@example.com' } } },
+        outdated: { metrics: ['old'] },
+        template_values: { env: ['staging'], section: ['foo'] },
+        prune: { prefixes: ['app.'] }
+      }
+      const prod = {
+        metrics: { system: { name: 'm2', attributes: { display_max: 5 } }, prod: [{ name: 'm3' }, { name: 'm1', __delete__: true }] },
+        spaces: { system: { name: 'System', charts: [{ name: 'A', streams: [{ metric: 'm3' }] }, { name: 'B', __delete__: true }, { name: 'C' }] } },
+        alerts: { prod: { name: 'a1', conditions: [{ type: 'above', metric_name: 'm1', threshold: 50 }], services: ['Ops', 'Pager'] } },
+        services: { pager: { title: 'Pager', type: 'pagerduty', settings: {} } },
+        outdated: { metrics: ['old', 'older'], spaces: ['Staging'] },
+        template_values: { env: ['prod'] }
+      }
+      const eu = {
+        services: { ops: { title: 'Ops', settings: { addresses: 'ops-eu@example.com' } }, gone: { title: 'Gone', __delete__: true } },
+        prune: { managed_by: 'eu' }
+      }
+
+      expect(libratoApi._overlayRawConfig(base, [])).to.equal(base)
+      expect(libratoApi._overlayRawConfig(base, [prod, eu])).to.eql({
+        metrics: { __default__: { name: '__default__', period: 60 }, system: [{ name: 'm2', attributes: { color: 'red', display_max: 5 } }], prod: [{ name: 'm3' }] },
+        spaces: { system: [{ name: 'System', charts: [{ name: 'A', streams: [{ metric: 'm3' }] }, { name: 'C' }] }] },
+        alerts: { alerts: [{ name: 'a1', conditions: [{ type: 'above', metric_name: 'm1', threshold: 50 }], services: ['Ops', 'Pager'] }] },
+        services: {
+          ops: [{ title: 'Ops', type: 'mail', settings: { addresses: 'ops-eu@example.com' } }],
+          pager: [{ title: 'Pager', type: 'pagerduty', settings: {} }],
+          gone: []
+        },
+        outdated: { metrics: ['old', 'older'], spaces: ['Staging'] },
+        template_values: { env: ['prod'], section: ['foo'] },
+        prune: { prefixes: ['app.'], managed_by: 'eu' }
+      })
+      // elements which are new in an overlay are cleaned of deleted charts too
+      expect(libratoApi._overlayRawConfig({}, [prod]).spaces.system[0].charts)
+        .to.eql([{ name: 'A', streams: [{ metric: 'm3' }] }, { name: 'C' }])
+    })
+
+    it('should replace named streams and other Arrays in overlays, merging only charts by name', function * () {
+      const streams = [{ metric: 'm1', name: 'Requests' }, { metric: 'm2', name: 'Errors' }]
+      const base = {
+        spaces: { system: { name: 'System', charts: [{ name: 'A', streams }, { name: 'B', streams }], tags: [{ name: 'env' }] } }
+      }
+      const overlay = {
+        spaces: { system: { name: 'System', charts: [{ name: 'A', streams: [{ metric: 'm3', name: 'Requests' }] }], tags: [{ name: 'region' }] } }
+      }
+
+      expect(libratoApi._overlayRawConfig(base, [overlay]).spaces.system).to.eql([{
+        name: 'System',
+        charts: [{ name: 'A', streams: [{ metric: 'm3', name: 'Requests' }] }, { name: 'B', streams }],
+        tags: [{ name: 'region' }]
+      }])
+      const cleared = _.set('spaces.system.charts', [], overlay)
+      expect(libratoApi._overlayRawConfig(base, [cleared]).spaces.system[0].charts).to.eql([])
+    })
+
+    describe('locating problems of overlays', () => {
+      const chart = (name, type) => ({ name, type: type || 'line', streams: [{ metric: 'm1' }] })
+      const locate = (base, overlays) => _.map(
+        problem => libratoApi._locateOverlayProblem(base, overlays, problem),
+        LibratoApi.validation.validateRawConfig(libratoApi._overlayRawConfig(base, overlays))
+      )
+      const problem = (source, file, pointer, message) => ({ source, file, pointer, message })
+      const notAllowed = 'should be equal to one of the allowed values: line, stacked, bignumber'
+
+      it('should locate a chart merged by name in the overlay replacing the value', function * () {
+        const base = { spaces: { system: { name: 'System', charts: [chart('c0'), chart('c1')] } } }
+        const prod = {
+          spaces: { system: { name: 'System', charts: [{ name: 'c1', type: 'pie' }] } }
+        }
+        const located = source => [problem(source, 'spaces/system', '/charts/0/type', notAllowed)]
+
+        expect(locate(base, [prod])).to.eql(located(1))
+        expect(locate(base, [{}, prod])).to.eql(located(2))
+      })
+
+      it('should locate a chart added by an overlay to an element of another file', function * () {
+        const base = { spaces: { system: { name: 'System', charts: [chart('c0', 'pie')] } } }
+        const prod = {
+          spaces: { prod: [{ name: 'Prod' }, { name: 'System', charts: [chart('c1', 'pie')] }] }
+        }
+
+        expect(locate(base, [prod])).to.eql([
+          problem(0, 'spaces/system', '/charts/0/type', notAllowed),
+          problem(1, 'spaces/prod', '/1/charts/0/type', notAllowed)
+        ])
+      })
+
+      it('should locate nameless elements and charts, which are never merged', function * () {
+        const base = {
+          alerts: { alerts: [{ conditions: [] }, { name: 'a1', conditions: [] }] },
+          spaces: { system: { name: 'System', charts: [{ type: 'pie', streams: [] }] } }
+        }
+        const prod = {
+          alerts: { alerts: [{ conditions: [], foo: 1 }], prod: { name: 'a1', foo: 2 } },
+          spaces: { system: { name: 'System', charts: [{ type: 'line', foo: 3 }] } }
+        }
+        const required = 'should have required property \'name\''
+
+        expect(locate(base, [prod])).to.eql([
+          problem(0, 'alerts/alerts', '/0', required),
+          problem(1, 'alerts/prod', '/foo', 'is not allowed'),
+          problem(1, 'alerts/alerts', '/0/foo', 'is not allowed'),
+          problem(1, 'alerts/alerts', '/0', required),
+          problem(0, 'spaces/system', '/charts/0', required),
+          problem(0, 'spaces/system', '/charts/0/type', notAllowed),
+          problem(1, 'spaces/system', '/charts/0/foo', 'is not allowed'),
+          problem(1, 'spaces/system', '/charts/0', required)
+        ])
+      })
+
+      it('should locate a missing property in the file defining the element', function * () {
+        const base = { alerts: { alerts: { name: 'a1', services: [] } } }
+        const prod = { alerts: { prod: { name: 'a1', description: 'in prod' } } }
+
+        expect(locate(base, [prod])).to.eql([
+          problem(0, 'alerts/alerts', '', 'should have required property \'conditions\'')
+        ])
+        expect(locate({}, [prod])).to.eql([
+          problem(1, 'alerts/prod', '', 'should have required property \'conditions\'')
+        ])
+      })
+
+      it('should locate duplicate, deleted and deeply merged elements', function * () {
+        const base = {
+          metrics: {
+            system: [{ name: 'm1', attributes: { color: 1 } }, { name: 'm1', period: 'x' }],
+            other: { name: 'm2', period: 'x' },
+            gone: { name: 'm3' }
+          }
+        }
+        const prod = {
+          metrics: {
+            prod: [{ name: 'm1', attributes: { display_max: 'x' } }, { name: 'm3', __delete__: true }]
+          }
+        }
+        const eu = { metrics: { eu: { name: 'm3', period: 'x' } } }
+
+        expect(locate(base, [prod, eu])).to.eql([
+          problem(0, 'metrics/system', '/0/attributes/color', 'should be string,null'),
+          problem(1, 'metrics/prod', '/0/attributes/display_max', 'should be number,null'),
+          problem(0, 'metrics/system', '/1/period', 'should be integer,null'),
+          problem(0, 'metrics/other', '/period', 'should be integer,null'),
+          problem(2, 'metrics/eu', '/period', 'should be integer,null')
+        ])
+      })
+
+      it('should locate problems of top level files', function * () {
+        const base = { outdated: { metrics: ['old'], spaces: 2 }, prune: { prefixes: ['app.'] } }
+        const prod = { outdated: { metrics: [1, 'old'] }, prune: { prefixes: 'app.' }, unknown: {} }
+
+        expect(locate(base, [prod])).to.eql([
+          problem(1, 'outdated', '/metrics/0', 'should be string'),
+          problem(0, 'outdated', '/spaces', 'should be array'),
+          problem(1, 'prune', '/prefixes', 'should be array'),
+          problem(1, 'unknown', '', 'is not a known config file or dir')
+        ])
+      })
+    })
+
+    it('should apply template values used by an element only, with exclusions and derived values', function * () {
+      const rawConfig = {
+        template_values: {
+          section: ['foo', 'bar'],
+          counter: ['opens', 'clicks'],
+          unused: _.range(0, 1000),
+          __exclude__: [{ section: 'bar', counter: 'clicks' }],
+          __derived__: { label: '{{counter.toUpperCase()}} of {{section}}' }
+        },
+        metrics: {
+          report: [
+            { name: 'report.{{section}}.{{counter}}', display_name: '{{label}}' },
+            { name: 'report.{{section}}' },
+            { name: 'report.{{section}}.{{counter}}.rate', __template_values__: { section: ['baz'] } }
+          ]
+        },
+        spaces: {
+          reports: { name: 'Report {{section}}', charts: [], __template_values__: { section: ['qux'], __exclude__: [] } }
+        }
+      }
+      const config = libratoApi._processRawConfig(rawConfig)
+
+      expect(config.metrics).to.eql([
+        { name: 'report.foo.opens', display_name: 'OPENS of foo' },
+        { name: 'report.foo.clicks', display_name: 'CLICKS of foo' },
+        { name: 'report.bar.opens', display_name: 'OPENS of bar' },
+        { name: 'report.foo' },
+        { name: 'report.bar' },
+        { name: 'report.baz.opens.rate' },
+        { name: 'report.baz.clicks.rate' }
+      ])
+      expect(config.spaces).to.eql([{ name: 'Report qux', charts: [] }])
+    })
+
+    it('should apply template values to spaces and alerts, nested by name', function * () {
+      const rawConfig = {
+        template_values: { section: ['foo', 'bar'], counter: ['opens', 'clicks'] },
+        spaces: {
+          reports: {
+            name: 'Report {{section}}',
+            charts: [
+              { name: '{{counter}}', streams: [{ metric: 'report.{{section}}.{{counter}}', source: '*' }] },
+              { name: 'All', streams: [{ metric: 'report.{{section}}.{{counter}}' }, { composite: 's("{{section}}.total", "*")' }] },
+              { type: 'bignumber', streams: [{ metric: 'report.{{section}}.opens' }] },
+              { name: 'Empty' }
+            ]
+          }
+        },
+        alerts: {
+          reports: [
+            { name: 'report.{{counter}}.absent', conditions: [{ type: 'absent', metric_name: 'report.{{section}}.{{counter}}' }] },
+            { name: 'report.none' }
+          ]
+        },
+        outdated: { spaces: ['Old {{section}}'], alerts: ['report.{{section}}.old'] }
+      }
+      const config = libratoApi._processRawConfig(rawConfig)
+
+      const report = section => ({
+        name: `Report ${section}`,
+        charts: [
+          { name: 'opens', streams: [{ metric: `report.${section}.opens`, source: '*' }] },
+          { name: 'clicks', streams: [{ metric: `report.${section}.clicks`, source: '*' }] },
+          {
+            name: 'All',
+            streams: [
+              { metric: `report.${section}.opens` },
+              { metric: `report.${section}.clicks` },
+              { composite: `s("${section}.total", "*")` }
+            ]
+          },
+          { type: 'bignumber', streams: [{ metric: `report.${section}.opens` }] },
+          { name: 'Empty' }
+        ]
+      })
+      expect(config.spaces).to.eql([report('foo'), report('bar')])
+      const absent = counter => ({
+        name: `report.${counter}.absent`,
+        conditions: [
+          { type: 'absent', metric_name: `report.foo.${counter}` },
+          { type: 'absent', metric_name: `report.bar.${counter}` }
+        ]
+      })
+      expect(config.alerts).to.eql([absent('opens'), absent('clicks'), { name: 'report.none' }])
+      expect(config.outdated).to.deep.include({
+        spaces: ['Old foo', 'Old bar'],
+        alerts: ['report.foo.old', 'report.bar.old']
+      })
+    })
+
+    describe('(export)', () => {
+      it('should export an account to a raw config which updates it with no changes', function * () {
+        const fake = createFake()
+        const client = fake.createClient({ logger: libratoApi.logger })
+        const rawConfig = yield client.exportConfig()
+
+        expect(_.keys(rawConfig.metrics)).to.eql(['__default__', 'metrics'])
+        expect(rawConfig.metrics.__default__).to.eql({
+          name: '__default__',
+          display_name: null,
+          description: null,
+          type: 'gauge',
+          period: 86400,
+          source_lag: 900,
+          attributes: {
+            l2met_type: 'counter',
+            display_units_short: null,
+            display_units_long: null,
+            display_transform: null,
+            display_stacked: null,
+            display_min: 0,
+            display_max: null,
+            gap_detection: true,
+            summarize_function: 'sum',
+            aggregate: true,
+            created_by_ua: 'librato-api'
+          }
+        })
+        expect(rawConfig.metrics.metrics).to.deep.include({ name: 'report.foo.opens' })
+        expect(rawConfig.metrics.metrics).to.deep.include({
+          name: 'system.dynos', period: 3600, attributes: { l2met_type: 'sample', summarize_function: 'average' }
+        })
+        expect(rawConfig.spaces).to.eql({ System: yield client.dumpSpace('System') })
+        expect(rawConfig.alerts).to.eql({ alerts: [yield client.dumpAlert(alert.name)] })
+        expect(rawConfig.services).to.eql({ services: [service] })
+        expect(rawConfig.sources).to.eql({ sources: processedExampleConfig.sources })
+
+        const config = client._processRawConfig(rawConfig)
+        expect(config.metrics).to.eql(fake.state.metrics)
+        yield _.map(metric => client.putMetric(metric.name, metric), config.metrics)
+        yield _.map(space => client.createOrUpdateSpace(space), config.spaces)
+        yield _.map(alert => client.createOrUpdateAlert(alert), config.alerts)
+        yield _.map(service => client.createOrUpdateService(service), config.services)
+        yield _.map(source => client.putSource(source.name, source), config.sources)
+        expect(yield client.exportConfig()).to.eql(rawConfig)
+      })
+
+      it('should export alerts without read-only fields, so updating from the export changes nothing', function * () {
+        const fake = createFake({ alerts: [_.assign(alert, { version: 2, created_at: 1, updated_at: 2 })] })
+        const client = fake.createClient({ logger: libratoApi.logger })
+        const rawConfig = yield client.exportConfig()
+        expect(rawConfig.alerts.alerts[0]).to.not.have.any.keys('id', 'version', 'created_at', 'updated_at')
+
+        const config = client._processRawConfig(rawConfig)
+        const report = yield client.applyConfig(config, { strict: true })
+        expect(_.map('status', report.alerts)).to.eql(['ok'])
+        const plan = yield client.planConfig(config)
+        expect(_.reject({ action: 'unchanged' }, _.flatten(_.values(plan)))).to.eql([])
+        expect(yield client.exportConfig()).to.eql(rawConfig)
+      })
+
+      it('should export configs which pass validation', function * () {
+        const space = _.set('charts[0].use_log_yaxis', true, processedExampleConfig.spaces[0])
+        const client = createFake({ spaces: [space] }).createClient({ logger: libratoApi.logger })
+        const rawConfig = yield client.exportConfig()
+        expect(rawConfig.spaces.System.charts[0]).to.have.property('use_log_yaxis', true)
+
+        expect(LibratoApi.validation.validateRawConfig(rawConfig)).to.eql([])
+        expect(LibratoApi.validation.validateConfig(client._processRawConfig(rawConfig))).to.eql([])
+        // dumps of other tools may keep the version of alerts
+        const dumped = _.set('alerts.alerts[0].version', 2, rawConfig)
+        expect(LibratoApi.validation.validateRawConfig(dumped)).to.eql([])
+      })
+
+      it('should split metrics by name prefix', function * () {
+        const metrics = [
+          { name: 'system.dynos', type: 'gauge', attributes: {} },
+          { name: 'system.load', type: 'gauge', attributes: { color: 'red' } },
+          { name: '__default__.x', type: 'counter', attributes: { color: 'red' } },
+          { name: 'router', type: 'counter', attributes: { color: 'blue' } }
+        ]
+        const fake = createFake({ metrics })
+        const rawConfig = yield fake.createClient({ logger: libratoApi.logger }).exportConfig({ splitMetrics: true })
+
+        expect(rawConfig.metrics).to.eql({
+          __default__: { name: '__default__', type: 'gauge' },
+          system: [{ name: 'system.dynos', attributes: {} }, { name: 'system.load', attributes: { color: 'red' } }],
+          __default___2: [{ name: '__default__.x', type: 'counter', attributes: { color: 'red' } }],
+          router: [{ name: 'router', type: 'counter', attributes: { color: 'blue' } }]
+        })
+        expect(libratoApi._processRawConfig(rawConfig).metrics).to.eql(fake.state.metrics)
+      })
+
+      it('should export without a __default__ metric if no metric properties are shared', function * () {
+        const metrics = [{ name: 'm1', type: 'gauge' }, { name: 'm2', type: 'counter' }]
+        const rawConfig = yield createFake({ metrics }).createClient({ logger: libratoApi.logger }).exportConfig()
+        expect(rawConfig.metrics).to.eql({ metrics })
+      })
+
+      it('should export spaces to unique file names', function * () {
+        const spaces = [{ name: 'Ops/Web' }, { name: 'Ops Web' }, { name: '???' }]
+        const rawConfig = yield createFake({ spaces }).createClient({ logger: libratoApi.logger }).exportConfig()
+        expect(_.keys(rawConfig.spaces)).to.eql(['Ops_Web', 'Ops_Web_2', '_'])
+        expect(rawConfig.spaces.Ops_Web_2).to.eql({ name: 'Ops Web', charts: [] })
+      })
+    })
+
+    describe('(plan)', () => {
+      const sections = { metrics: [], spaces: [], alerts: [], services: [], sources: [] }
+      const createConfig = config => _.assign(_.assign(sections, { outdated: sections }), config)
+
+      it('should plan no changes for an exported account', function * () {
+        const client = createFake().createClient({ logger: libratoApi.logger })
+        const config = client._processRawConfig(yield client.exportConfig())
+        const plan = yield client.planConfig(config)
+
+        expect(_.uniq(_.flatMap(_.map('action'), _.values(plan)))).to.eql(['unchanged'])
+        expect(_.map('name', plan.metrics)).to.eql(_.map('name', config.metrics))
+        expect(plan.spaces[0].charts).to.have.lengthOf(config.spaces[0].charts.length)
+      })
+
+      it('should plan creates, updates and deletes', function * () {
+        const fake = createFake()
+        const client = fake.createClient({ logger: libratoApi.logger })
+        const system = yield client.dumpSpace('System')
+        const charts = [
+          _.set('streams[0].summary_function', 'min', system.charts[0]),
+          { name: 'New Chart', streams: [{ metric: 'system.dynos', source: '*' }] },
+          ..._.drop(2, system.charts)
+        ]
+        const config = createConfig({
+          metrics: [
+            { name: 'system.dynos', period: 60, attributes: { summarize_function: 'average' } },
+            { name: 'customers.active', type: 'gauge' },
+            { name: 'new', type: 'counter' }
+          ],
+          spaces: [
+            { name: 'System', charts },
+            { name: 'New Space', charts: [{ name: 'New Chart', streams: [] }] }
+          ],
+          alerts: [_.set('services', [fake.state.services[0].id], alert)],
+          services: [_.set('settings.addresses', 'ops@example.com', service)],
+          sources: [processedExampleConfig.sources[0], { name: 'new-source' }],
+          outdated: _.assign(sections, {
+            metrics: ['customers.number', 'gone'],
+            spaces: ['gone'],
+            sources: ['amusing-turtle-xyz', 'amusing-turtle-xyz']
+          })
+        })
+        const plan = yield client.planConfig(config)
+
+        expect(plan.metrics).to.eql([
+          { name: 'customers.number', action: 'delete' },
+          { name: 'system.dynos', action: 'update', changes: [{ path: 'period', from: 3600, to: 60 }] },
+          { name: 'customers.active', action: 'unchanged' },
+          { name: 'new', action: 'create' }
+        ])
+        expect(plan.spaces).to.eql([
+          {
+            name: 'System',
+            action: 'update',
+            changes: [],
+            charts: [
+              { name: 'Average Dynos', action: 'delete' },
+              {
+                name: 'Dynos',
+                action: 'update',
+                changes: [{ path: 'streams.0.summary_function', from: 'max', to: 'min' }]
+              },
+              { name: 'New Chart', action: 'create' },
+              ..._.map(chart => ({ name: chart.name, action: 'unchanged' }), _.drop(2, system.charts))
+            ]
+          },
+          { name: 'New Space', action: 'create', charts: [{ name: 'New Chart', action: 'create' }] }
+        ])
+        expect(plan.alerts).to.eql([{ name: alert.name, action: 'unchanged' }])
+        expect(plan.services).to.eql([{
+          name: 'Developers List',
+          action: 'update',
+          changes: [{ path: 'settings.addresses', from: 'devs@example.com', to: 'ops@example.com' }]
+        }])
+        expect(plan.sources).to.eql([
+          { name: 'amusing-turtle-xyz', action: 'delete' },
+          { name: 'amusing-mouse-abc', action: 'unchanged' },
+          { name: 'new-source', action: 'create' }
+        ])
+      })
+
+      it('should plan to recreate outdated elements which are also configured', function * () {
+        const client = createFake().createClient({ logger: libratoApi.logger })
+        const config = createConfig({
+          spaces: [{ name: 'System' }],
+          outdated: _.assign(sections, { spaces: ['System'] })
+        })
+        expect((yield client.planConfig(config)).spaces).to.eql([
+          { name: 'System', action: 'delete' },
+          { name: 'System', action: 'create', charts: [] }
+        ])
+      })
+
+      it('should compare arrays of different length as a whole', function * () {
+        const client = createFake().createClient({ logger: libratoApi.logger })
+        const conditions = [alert.conditions[0], alert.conditions[0]]
+        const plan = yield client.planConfig(createConfig({ alerts: [_.set('conditions', conditions, alert)] }))
+        expect(plan.alerts).to.eql([{
+          name: alert.name,
+          action: 'update',
+          changes: [{ path: 'conditions', from: alert.conditions, to: conditions }]
+        }])
+      })
+    })
+
+    describe('(drift)', () => {
+      it('should find no drift for an exported account', function * () {
+        const client = createFake().createClient({ logger: libratoApi.logger })
+        const config = client._processRawConfig(yield client.exportConfig())
+        const sections = { metrics: [], spaces: [], alerts: [], services: [], sources: [] }
+        expect(yield client.checkDrift(config)).to.eql(sections)
+      })
+
+      it('should find changes made outside of the config', function * () {
+        const fake = createFake()
+        const client = fake.createClient({ logger: libratoApi.logger })
+        // a source which is meant to be gone, and a space which was never created
+        const config = _.flow(
+          _.update('sources', _.reject({ name: 'amusing-turtle-xyz' })),
+          _.update('spaces', spaces => _.concat(spaces, [{ name: 'Missing', charts: [] }])),
+          _.set('outdated.sources', ['gone', 'amusing-turtle-xyz'])
+        )(client._processRawConfig(yield client.exportConfig()))
+
+        const system = yield client.findSpaceByName('System')
+        const dynos = yield client.findChartByName(system.id, 'Dynos')
+        yield client.putChart(system.id, dynos.id, { streams: [{ metric: 'system.dynos', source: 'web*' }] })
+        yield client.postChart(system.id, { name: 'Manual', streams: [{ metric: 'router.bytes' }] })
+        const attributes = (yield client.getMetric('system.dynos')).attributes
+        yield client.putMetric('system.dynos', { attributes: _.set('summarize_function', 'max', attributes) })
+        yield client.deleteMetric('customers.active')
+        const alertId = (yield client.findAlertByName(alert.name)).id
+        yield client.putAlert(alertId, { conditions: [_.set('threshold', 20, alert.conditions[0])] })
+
+        const drift = yield client.checkDrift(config)
+        expect(drift.metrics).to.eql([
+          { name: 'customers.active', drift: 'missing' },
+          {
+            name: 'system.dynos',
+            drift: 'modified',
+            changes: [{ path: 'attributes.summarize_function', expected: 'average', actual: 'max' }]
+          }
+        ])
+        expect(drift.spaces).to.eql([{
+          name: 'System',
+          drift: 'modified',
+          changes: [],
+          charts: [
+            { name: 'Manual', drift: 'added' },
+            {
+              name: 'Dynos',
+              drift: 'modified',
+              changes: [{
+                path: 'streams',
+                expected: config.spaces[0].charts[0].streams,
+                actual: [{ metric: 'system.dynos', source: 'web*' }]
+              }]
+            }
+          ]
+        }, {
+          name: 'Missing',
+          drift: 'missing'
+        }])
+        expect(drift.alerts).to.eql([{
+          name: alert.name,
+          drift: 'modified',
+          changes: [{ path: 'conditions.0.threshold', expected: 10, actual: 20 }]
+        }])
+        expect(drift.sources).to.eql([{ name: 'amusing-turtle-xyz', drift: 'outdated' }])
+        expect(drift.services).to.eql([])
+      })
+    })
+
+    describe('(references)', () => {
+      const config = {
+        metrics: [{ name: 'system.dynos', type: 'gauge' }],
+        spaces: [{ name: 'System', charts: [{ name: 'Dynos', streams: [{ metric: 'system.dynos' }, { metric: 'releases' }] }] }],
+        alerts: [alert],
+        services: [],
+        sources: []
+      }
+
+      it('should check references within the config', function * () {
+        expect(yield libratoApi.checkReferences(config)).to.eql([
+          { pointer: '/spaces/0/charts/0/streams/1/metric', message: 'chart Dynos of space System references unknown metric releases' },
+          { pointer: '/alerts/0/services/0', message: `alert ${alert.name} references unknown service Developers List` }
+        ])
+      })
+
+      it('should accept metrics and services of the account with live', function * () {
+        const client = createFake({ metrics: [{ name: 'releases', type: 'gauge' }] }).createClient({ logger: libratoApi.logger })
+        expect(yield client.checkReferences(config, { live: true })).to.eql([])
+      })
+    })
+
+    describe('(prune)', () => {
+      const createOwnedFake = () => createFake({
+        metrics: [
+          { name: 'app.requests', type: 'counter' },
+          { name: 'app.old', type: 'counter' },
+          { name: 'managed.old', type: 'gauge', attributes: { managed_by: 'ops' } },
+          { name: 'other.old', type: 'gauge', attributes: { managed_by: 'devs' } }
+        ],
+        spaces: [{ name: 'app System' }, { name: 'app Old' }, { name: 'app Old' }, { name: 'Legacy' }, { name: 'Manual' }],
+        alerts: [
+          _.set('name', 'app.old', alert),
+          _.assign(alert, { name: 'managed.old', attributes: { managed_by: 'ops' } }),
+          _.set('name', 'manual', alert)
+        ],
+        services: [service, _.set('title', 'app old', service)],
+        sources: [{ name: 'app-source' }, { name: 'source' }]
+      })
+      const config = {
+        metrics: [{ name: 'app.requests', type: 'counter' }],
+        spaces: [{ name: 'app System', charts: [] }],
+        alerts: [],
+        services: [service],
+        sources: [],
+        outdated: { metrics: [], spaces: [], alerts: [], services: [], sources: ['app-source'] }
+      }
+
+      it('should find owned elements which are not configured', function * () {
+        const client = createOwnedFake().createClient({ logger: libratoApi.logger })
+        const rule = { prefixes: ['app'], managed_by: 'ops', owned: { spaces: ['Legacy'] } }
+
+        expect(yield client.findUnmanaged(config, rule)).to.eql({
+          metrics: [],
+          spaces: ['app Old', 'Legacy'],
+          alerts: ['app.old', 'managed.old'],
+          services: ['app old'],
+          sources: []
+        })
+        expect(yield client.findUnmanaged(config, _.set('metrics', true, rule)))
+          .to.have.property('metrics').which.eql(['app.old', 'managed.old'])
+      })
+
+      it('should require an ownership rule', function * () {
+        const client = createOwnedFake().createClient({ logger: libratoApi.logger })
+        yield expect(client.findUnmanaged(config, { metrics: true, prefixes: [], owned: {} }))
+          .to.eventually.be.rejectedWith(LibratoApi.errors.ValidationError, 'an ownership rule needs')
+        yield expect(client.findUnmanaged(config))
+          .to.eventually.be.rejectedWith(LibratoApi.errors.ValidationError)
+          .and.to.have.nested.property('error.errors')
+          .which.eql({ params: { prune: ['an ownership rule needs prefixes, managed_by or owned'] } })
+      })
+    })
+
+    describe('(apply)', () => {
+      it('should apply a config and report the result per element', function * () {
+        const fake = createFakeLibrato({
+          spaces: [{ name: 'testspace' }],
+          alerts: [_.assign(alert, { name: 'testalert', services: ['testservice'] })],
+          services: [_.set('title', 'testservice', service)],
+          sources: [{ name: 'testsource' }]
+        })
+        const client = fake.createClient({ logger: libratoApi.logger })
+        const config = _.set('alerts', [alert], _.set('services', [service], processedExampleConfig))
+        const report = yield client.applyConfig(config)
+
+        const ok = (action, names) => _.map(name => ({ name, action, status: 'ok' }), names)
+        const absent = names => _.map(name => ({ name, action: 'delete', status: 'absent' }), names)
+        expect(report).to.eql({
+          metrics: _.concat(absent(config.outdated.metrics), ok('update', _.map('name', config.metrics))),
+          spaces: _.concat(ok('delete', ['testspace']), ok('update', ['System'])),
+          alerts: _.concat(ok('delete', ['testalert']), ok('update', [alert.name])),
+          services: _.concat(ok('delete', ['testservice']), ok('update', [service.title])),
+          sources: _.concat(ok('delete', ['testsource']), ok('update', _.map('name', config.sources)))
+        })
+        expect(libratoApi.logger.verbose).to.have.been.calledWith('%s %s %s', 'update', 'space', 'System')
+        expect(libratoApi.logger.verbose).to.have.been.calledWith('%s %s %s (nothing there)', 'delete', 'metric', 'test1')
+
+        const plan = yield client.planConfig(config)
+        expect(_.uniq(_.map('action', _.flatten(_.values(plan))))).to.eql(['unchanged'])
+      })
+
+      it('should report failed elements and continue', function * () {
+        const client = createFakeLibrato().createClient({ logger: libratoApi.logger })
+        const sections = { metrics: [], spaces: [], alerts: [], services: [], sources: [] }
+        const config = _.assign(sections, {
+          metrics: [{ name: 'm1', type: 'composite' }, { name: 'm2', type: 'gauge' }],
+          spaces: [{ name: 'Broken', charts: [{ name: 'c1', streams: [{ metric: '' }] }] }],
+          alerts: [alert],
+          outdated: sections
+        })
+        const report = yield client.applyConfig(config)
+
+        expect(report.metrics).to.eql([
+          {
+            name: 'm1',
+            action: 'update',
+            status: 'failed',
+            error: {
+              message: '400 - {"errors":{"params":{"composite":["is not present"]}}}',
+              statusCode: 400,
+              errors: { params: { composite: ['is not present'] } }
+            }
+          },
+          { name: 'm2', action: 'update', status: 'ok' }
+        ])
+        expect(report.spaces[0]).to.deep.include({ status: 'failed' })
+        expect(report.spaces[0].error.errors).to.eql([
+          { chart: 'c1', op: 'create', errors: { params: { streams: ['must have a metric or composite'] } } }
+        ])
+        expect(report.alerts[0]).to.deep.include({
+          status: 'failed',
+          error: { message: 'no service named Developers List', statusCode: 404, errors: { request: ['no service named Developers List'] } }
+        })
+        expect(libratoApi.logger.error).to.have.been.calledWith('%s %s %s failed', 'update', 'metric', 'm1')
+
+        yield expect(client.applyConfig(config, { strict: true }))
+          .to.eventually.be.rejectedWith(LibratoApi.errors.AggregateOperationError, '3 config operations failed')
+          .and.to.have.property('errors').which.has.lengthOf(3)
+      })
+
+      it('should refuse to apply an invalid config', function * () {
+        const fake = createFakeLibrato()
+        const client = fake.createClient({ logger: libratoApi.logger })
+        const sections = { metrics: [], spaces: [], alerts: [], services: [], sources: [] }
+        const config = _.assign(sections, {
+          metrics: [{ name: 'm1', type: 'gauge', attributes: { summarize_fuction: 'sum' } }],
+          spaces: [{ name: 'Broken', charts: [{ name: 'c1', streams: [{ source: '*' }] }] }],
+          outdated: _.set('metric', ['m2'], sections)
+        })
+
+        yield expect(client.applyConfig(config))
+          .to.eventually.be.rejectedWith(LibratoApi.errors.ValidationError, 'invalid config: 3 problems')
+          .and.to.have.property('params').which.eql({
+            '/metrics/0/attributes/summarize_fuction': ['is not allowed'],
+            '/spaces/0/charts/0/streams/0': ['should have a metric or composite'],
+            '/outdated/metric': ['is not allowed']
+          })
+        expect(fake.requests).to.eql([])
+      })
+    })
   })
 })
@@ -5,10 +5,12 @@ const _ = require('lodash/fp')
 const co = require('co')
 const fs = require('mz/fs')
 const path = require('path')
+const readline = require('readline')
 const requireDir = require('require-dir')
 const winston = require('winston')
 
 const LibratoApi = require('./index').LibratoApi
+const validation = require('./index').validation
 
 const logger = new winston.Logger({
   level: process.env.LIBRATO_LOG_LEVEL || process.env.LOG_LEVEL || 'info',
@@ -21,14 +23,23 @@ const logger = new winston.Logger({
     })
   ]
 })
-const libratoApi = new LibratoApi({ logger })
+// created by main after checking the environment, as recording truncates LIBRATO_RECORD
+let libratoApi
+const createClient = () => new LibratoApi({
+  logger,
+  scheduler: { concurrency: Number(process.env.LIBRATO_CONCURRENCY) || undefined },
+  pagination: { concurrency: 4 },
+  record: process.env.LIBRATO_RECORD,
+  replay: process.env.LIBRATO_REPLAY
+})
 
-const getId = _.get('id')
 const getNames = _.map('name')
 const getIdAndNames = _.map(_.at(['id', 'name']))
 const getNamesById = _.flow(getIdAndNames, _.fromPairs)
 const getIdAndTitles = _.map(_.at(['id', 'title']))
 const getTitlesById = _.flow(getIdAndTitles, _.fromPairs)
+const getTokenAndNames = _.map(_.at(['token', 'name']))
+const getNamesByToken = _.flow(getTokenAndNames, _.fromPairs)
 
 function * readJson (maybeSource) {
   const source = maybeSource || process.stdin.fd
@@ -43,6 +54,50 @@ function * writeJson (maybeSink, data) {
     : yield fs.writeFile(maybeSink, jsonData)
 }
 
+// writes each item of an async iterator as a line of json as soon as it arrives
+function * writeNdjson (maybeSink, iterator) {
+  const out = (maybeSink === undefined) ? process.stdout : fs.createWriteStream(maybeSink)
+  // stream errors like EPIPE or an unwritable file reject the pending write or end
+  const failed = new Promise((resolve, reject) => out.on('error', reject))
+  failed.catch(_.noop)  // errors after the last write to stdout are not awaited
+  const unlessFailed = promise => Promise.race([failed, promise])
+  const write = data => unlessFailed(out.write(data)
+    ? Promise.resolve()
+    : new Promise(resolve => out.once('drain', resolve)))
+  let item = yield iterator.next()
+  while (!item.done) {
+    yield write(JSON.stringify(item.value) + '\n')
+    item = yield iterator.next()
+  }
+  if (maybeSink !== undefined) {
+    yield unlessFailed(new Promise(resolve => out.once('finish', resolve).end()))
+  }
+}
+
+// minimal flag parsing for actions which need it: "--name value" for names
+// listed in valueFlags, or in listFlags which can be repeated and collect their
+// values in an Array, any other "--name" is a boolean switch
+function parseFlags (argv, valueFlags, listFlags) {
+  const args = []
+  const flags = {}
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (!arg.startsWith('--')) {
+      args.push(arg)
+      continue
+    }
+    const name = arg.slice(2)
+    if (_.includes(name, _.concat(valueFlags || [], listFlags || []))) {
+      if (i + 1 >= argv.length) { throw new Error(`missing value for ${arg}`) }
+      const value = argv[++i]
+      flags[name] = _.includes(name, listFlags || []) ? _.concat(flags[name] || [], [value]) : value
+    } else {
+      flags[name] = true
+    }
+  }
+  return { args, flags }
+}
+
 // does sync IO (requireDir)
 function readConfigDir (configDir) {
   if (configDir === undefined) { throw new Error('missing config dir') }
@@ -52,6 +107,62 @@ function readConfigDir (configDir) {
   return requireDir(absConfigDir, { recurse: true })
 }
 
+// reads a config dir and its overlay dirs as [{ dir, rawConfig }]
+function readConfigSources (configDir, overlayDirs) {
+  const dirs = _.concat([configDir], overlayDirs || [])
+  return _.map(dir => ({ dir, rawConfig: readConfigDir(dir) }), dirs)
+}
+
+// merges the raw configs of overlay dirs over the one of the config dir in order
+// (see _overlayRawConfig)
+const mergeConfigSources = sources =>
+  libratoApi._overlayRawConfig(_.head(sources).rawConfig, _.map('rawConfig', _.tail(sources)))
+
+function readConfigDirs (configDir, overlayDirs) {
+  return mergeConfigSources(readConfigSources(configDir, overlayDirs))
+}
+
+// asks a yes/no question on a terminal, without one the answer is no
+function * confirm (question) {
+  if (!process.stdin.isTTY) { return false }
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr })
+  const answer = yield new Promise(resolve => rl.question(`${question} [y/N] `, resolve))
+  rl.close()
+  return /^y(es)?$/i.test(answer.trim())
+}
+
+// the path of the file (or dir) in configDir with a problem from validateRawConfig
+function problemPath (configDir, problem) {
+  const base = path.join(configDir, problem.file)
+  const ext = _.find(ext => fs.existsSync(base + ext), ['.json', '.js'])
+  return ext ? base + ext : base
+}
+
+// a problem from validateRawConfig of the merged config sources, with the path of the file in
+// the source dir it comes from (see _locateOverlayProblem)
+function locateProblem (sources, problem) {
+  const rawConfigs = _.map('rawConfig', sources)
+  const located = libratoApi._locateOverlayProblem(_.head(rawConfigs), _.tail(rawConfigs), problem)
+  const dir = sources[located.source].dir
+  return _.set('file', problemPath(dir, located), _.omit('source', located))
+}
+
+const formatProblem = problem =>
+  `${problem.file}${problem.pointer ? ` ${problem.pointer}` : ''}: ${problem.message}`
+
+// reads a config dir like readConfigDirs, but refuses invalid configs (see validateConfigDir)
+function readValidConfigDir (configDir, overlayDirs) {
+  const sources = readConfigSources(configDir, overlayDirs)
+  const rawConfig = mergeConfigSources(sources)
+  const problems = validation.validateRawConfig(rawConfig)
+  if (!_.isEmpty(problems)) {
+    const logProblem = problem => logger.error(formatProblem(locateProblem(sources, problem)))
+    _.forEach(logProblem, problems)
+    throw new Error(`${problems.length} problems in config dir ${configDir}`)
+  }
+  return rawConfig
+}
+
 // -- metric actions
 
 function * listMetrics (maybeSink) {
@@ -60,10 +171,17 @@ function * listMetrics (maybeSink) {
   yield writeJson(maybeSink, getNames(metrics))
 }
 
-function * getMetrics (maybeSink) {
-  logger.verbose('getMetrics', { to: maybeSink })
-  const metrics = yield libratoApi.getAllMetrics()
-  yield writeJson(maybeSink, metrics)
+function * getMetrics (...argv) {
+  const parsed = parseFlags(argv)
+  const maybeSink = parsed.args[0]
+  const ndjson = parsed.flags.ndjson === true
+  logger.verbose('getMetrics', { to: maybeSink, ndjson })
+  if (ndjson) {
+    yield writeNdjson(maybeSink, libratoApi.iterateMetrics())
+  } else {
+    const metrics = yield libratoApi.getAllMetrics()
+    yield writeJson(maybeSink, metrics)
+  }
 }
 
 function * getMetric (name, maybeSink) {
@@ -93,6 +211,27 @@ function * createOrUpdateSpace (maybeSource) {
   yield libratoApi.createOrUpdateSpace(space)
 }
 
+function * snapshotChart (...argv) {
+  const parsed = parseFlags(argv, ['duration', 'end-time', 'source'])
+  const spaceName = parsed.args[0]
+  const chartName = parsed.args[1]
+  const maybeSink = parsed.args[2]
+  logger.verbose('snapshotChart', { space: spaceName, chart: chartName, to: maybeSink })
+  const space = yield libratoApi.findSpaceByName(spaceName)
+  const chart = yield libratoApi.findChartByName(space.id, chartName)
+  const snapshot = yield libratoApi.postSnapshot(_.omitBy(_.isUndefined, {
+    subject: { chart: { id: chart.id, source: parsed.flags.source || '*', type: chart.type } },
+    duration: parsed.flags.duration ? Number(parsed.flags.duration) : 3600,
+    end_time: parsed.flags['end-time'] ? Number(parsed.flags['end-time']) : undefined
+  }))
+  const readySnapshot = yield libratoApi.waitForSnapshot(snapshot)
+  logger.verbose('snapshot ready', { image: readySnapshot.image_href })
+  const image = yield libratoApi.getSnapshotImage(readySnapshot)
+  return (maybeSink === undefined)
+    ? process.stdout.write(image)
+    : yield fs.writeFile(maybeSink, image)
+}
+
 function * deleteSpace (name) {
   logger.verbose('deleteSpace', { space: name })
   const space = yield libratoApi.findSpaceByName(name)
@@ -126,6 +265,12 @@ function * getAlert (idOrName, maybeSink) {
   yield writeJson(maybeSink, alert)
 }
 
+function * dumpAlert (name, maybeSink) {
+  logger.verbose('dumpAlert', { alert: name, to: maybeSink })
+  const alert = yield libratoApi.dumpAlert(name)
+  yield writeJson(maybeSink, alert)
+}
+
 // -- service actions
 
 function * listServices (maybeSink) {
@@ -147,6 +292,12 @@ function * getService (idOrTitle, maybeSink) {
   yield writeJson(maybeSink, service)
 }
 
+function * dumpService (title, maybeSink) {
+  logger.verbose('dumpService', { service: title, to: maybeSink })
+  const service = yield libratoApi.dumpService(title)
+  yield writeJson(maybeSink, service)
+}
+
 // -- source actions
 
 function * listSources (maybeSink) {
@@ -167,108 +318,301 @@ function * getSource (name, maybeSink) {
   yield writeJson(maybeSink, source)
 }
 
+// -- API token actions
+
+function * listTokens (maybeSink) {
+  logger.verbose('listTokens', { to: maybeSink })
+  const tokens = yield libratoApi.getAllApiTokens()
+  yield writeJson(maybeSink, getNamesByToken(tokens))
+}
+
+function * getTokens (maybeSink) {
+  logger.verbose('getTokens', { to: maybeSink })
+  const tokens = yield libratoApi.getAllApiTokens()
+  yield writeJson(maybeSink, tokens)
+}
+
+function * createToken (...argv) {
+  const parsed = parseFlags(argv, ['role'])
+  const name = parsed.args[0]
+  const role = parsed.flags.role
+  logger.verbose('createToken', { name, role })
+  if (name === undefined) { throw new Error('missing token name') }
+  if (role === undefined) { throw new Error('missing --role (admin, recorder or viewer)') }
+  const token = yield libratoApi.postApiToken({ name, role })
+  yield writeJson(undefined, token)
+}
+
+function * revokeToken (token) {
+  logger.verbose('revokeToken', { token })
+  yield libratoApi.deleteApiToken(token)
+}
+
+// -- annotation actions
+
+function * listAnnotations (maybeSink) {
+  logger.verbose('listAnnotations', { to: maybeSink })
+  const annotations = yield libratoApi.getAllAnnotations()
+  yield writeJson(maybeSink, getNames(annotations))
+}
+
+function * getAnnotation (name, maybeSink) {
+  logger.verbose('getAnnotation', { name, to: maybeSink })
+  const annotation = yield libratoApi.getAnnotationStream(name)
+  yield writeJson(maybeSink, annotation)
+}
+
+function * annotate (name, maybeSource) {
+  logger.verbose('annotate', { name, from: maybeSource })
+  const event = yield readJson(maybeSource)
+  logger.debug('annotation event', { event })
+  const result = yield libratoApi.postAnnotation(name, event)
+  yield writeJson(undefined, result)
+}
+
 // -- config dir actions
 
-function * showConfigDir (configDir, maybeSink) {
-  logger.verbose('showConfigDir', { configDir, to: maybeSink })
-  const rawConfig = readConfigDir(configDir)
+function * showConfigDir (...argv) {
+  const parsed = parseFlags(argv, [], ['overlay'])
+  const configDir = parsed.args[0]
+  const maybeSink = parsed.args[1]
+  const overlays = parsed.flags.overlay
+  logger.verbose('showConfigDir', { configDir, overlays, to: maybeSink })
+  const rawConfig = readConfigDirs(configDir, overlays)
   const config = libratoApi._processRawConfig(rawConfig)
   yield writeJson(maybeSink, config)
 }
 
-function * showRawConfigDir (configDir, maybeSink) {
-  logger.verbose('showRawConfigDir', { configDir, to: maybeSink })
-  const rawConfig = readConfigDir(configDir)
+/**
+ * Checks the config dir against the JSON Schemas of the schemas dir and prints the problems
+ * with their file and JSON Pointer, as text or with --json as a json Array.
+ */
+function * validateConfigDir (...argv) {
+  const parsed = parseFlags(argv, [], ['overlay'])
+  const configDir = parsed.args[0]
+  const overlays = parsed.flags.overlay
+  const json = parsed.flags.json === true
+  const live = parsed.flags.live === true
+  const references = live || parsed.flags.references === true
+  logger.verbose('validateConfigDir', { configDir, overlays, json, references, live })
+  const sources = readConfigSources(configDir, overlays)
+  const rawConfig = mergeConfigSources(sources)
+  const schemaProblems = _.map(
+    problem => locateProblem(sources, problem),
+    validation.validateRawConfig(rawConfig)
+  )
+  // references are checked in the processed config, which needs a valid config dir
+  const referenceProblems = references && _.isEmpty(schemaProblems)
+    ? yield libratoApi.checkReferences(libratoApi._processRawConfig(rawConfig), { live })
+    : []
+  const problems = _.concat(schemaProblems, referenceProblems)
+
+  if (json) {
+    yield writeJson(undefined, problems)
+  } else {
+    writeLines(_.isEmpty(problems) ? ['valid'] : _.concat(
+      _.map(formatProblem, schemaProblems),
+      _.map(problem => `${problem.pointer}: ${problem.message}`, referenceProblems)
+    ))
+  }
+  if (!_.isEmpty(problems)) {
+    throw new Error(`${problems.length} problems in config dir ${configDir}`)
+  }
+}
+
+function * showRawConfigDir (...argv) {
+  const parsed = parseFlags(argv, [], ['overlay'])
+  const configDir = parsed.args[0]
+  const maybeSink = parsed.args[1]
+  const overlays = parsed.flags.overlay
+  logger.verbose('showRawConfigDir', { configDir, overlays, to: maybeSink })
+  const rawConfig = readConfigDirs(configDir, overlays)
   yield writeJson(maybeSink, rawConfig)
 }
 
-/**
- * @Note Some updates are silently ignored, e.g. trying to change a metric's
- * l2met_type or created_by_ua. This is just how the API works.
- *
- * @TODO move applying the config from here to LibratoAPI,
- *  collect errors like in createOrUpdateSpace, and provide tests.
- */
-function * updateFromDir (configDir) {
-  logger.verbose('updateFromDir', { configDir })
-  const rawConfig = readConfigDir(configDir)
-  const config = libratoApi._processRawConfig(rawConfig)
+// writes a raw config (as returned by readConfigDir) to a new or empty dir
+function * writeConfigDir (configDir, rawConfig) {
+  const mkdir = dir => fs.mkdir(dir).catch(err => {
+    if (err.code !== 'EEXIST') { throw err }
+  })
+  yield mkdir(configDir)
+  const existing = yield fs.readdir(configDir)
+  if (!_.isEmpty(existing)) { throw new Error(`config dir ${configDir} is not empty`) }
+  for (const subdir of _.keys(rawConfig)) {
+    yield mkdir(path.join(configDir, subdir))
+    for (const file of _.keys(rawConfig[subdir])) {
+      yield writeJson(path.join(configDir, subdir, `${file}.json`), rawConfig[subdir][file])
+    }
+  }
+}
+
+function * exportToDir (...argv) {
+  const parsed = parseFlags(argv)
+  const configDir = parsed.args[0]
+  const splitMetrics = parsed.flags['split-metrics'] === true
+  if (configDir === undefined) { throw new Error('missing config dir') }
+  logger.verbose('exportToDir', { configDir, splitMetrics })
+  const rawConfig = yield libratoApi.exportConfig({ splitMetrics })
+  yield writeConfigDir(configDir, rawConfig)
+}
+
+const configKinds = {
+  metrics: 'metric',
+  spaces: 'space',
+  alerts: 'alert',
+  services: 'service',
+  sources: 'source'
+}
+const formatValue = value => _.isUndefined(value) ? '(none)' : JSON.stringify(value)
+// the lines of formatItem(indent, kind)(item) for the items of each kind in report
+const formatByKind = (formatItem, report) => _.flatMap(
+  key => _.flatMap(formatItem('', configKinds[key]), report[key]),
+  _.keys(configKinds)
+)
+
+// one line per element with its action, indented lines for field changes and changed charts
+function formatPlan (plan) {
+  const formatChange = indent => change =>
+    `${indent}  ${change.path}: ${formatValue(change.from)} -> ${formatValue(change.to)}`
+  const formatItem = (indent, kind) => item => _.flatten([
+    `${indent}${kind} ${item.name}: ${item.action}`,
+    _.map(formatChange(indent), item.changes),
+    _.flatMap(formatItem(`${indent}  `, 'chart'), _.reject({ action: 'unchanged' }, item.charts))
+  ])
+  return formatByKind(formatItem, plan)
+}
 
-  let errorCount = 0
-  const logOK = (what, id) => _result => {
-    logger.verbose('%s %s', what, id)
+// like formatPlan, for drifted elements
+function formatDrift (drift) {
+  const formatChange = indent => change => {
+    const expected = formatValue(change.expected)
+    return `${indent}  ${change.path}: expected ${expected}, actual ${formatValue(change.actual)}`
   }
-  const logAndCountError = (what, id) => err => {
-    errorCount += 1
-    logger.error('%s %s failed', what, id, {
-      [what]: id,
-      msg: err.toString(),
-      errors: _.get('error.errors', err)
-    })
+  const formatItem = (indent, kind) => item => _.flatten([
+    `${indent}${kind} ${item.name}: ${item.drift}`,
+    _.map(formatChange(indent), item.changes),
+    _.flatMap(formatItem(`${indent}  `, 'chart'), item.charts)
+  ])
+  return formatByKind(formatItem, drift)
+}
+
+const writeLines = lines => process.stdout.write(_.map(line => `${line}\n`, lines).join(''))
+
+// adds elements which are owned according to the rule in prune.json of the config dir,
+// but not configured, to the outdated elements of config (see findUnmanaged)
+function * addUnmanaged (rawConfig, config) {
+  if (rawConfig.prune === undefined) {
+    throw new Error('pruning needs an ownership rule in prune.json')
   }
-  const ignore404 = (what, id) => err => {
-    if (err.statusCode === 404) {
-      logger.verbose('%s %s (nothing there)', what, id)
-    } else {
-      throw err
-    }
+  const unmanaged = yield libratoApi.findUnmanaged(config, rawConfig.prune)
+  logger.info('unmanaged elements', unmanaged)
+  const kinds = _.keys(config.outdated)
+  const addOutdated = kind => _.concat(config.outdated[kind], unmanaged[kind])
+  return _.set('outdated', _.zipObject(kinds, _.map(addOutdated, kinds)), config)
+}
+
+/**
+ * Prints what updateFromDir would do, as text or with --json as a json object (see planConfig),
+ * and sets exit code 2 if there are pending changes. With --prune including unmanaged elements.
+ */
+function * planFromDir (...argv) {
+  const parsed = parseFlags(argv, [], ['overlay'])
+  const configDir = parsed.args[0]
+  const overlays = parsed.flags.overlay
+  const json = parsed.flags.json === true
+  const prune = parsed.flags.prune === true
+  logger.verbose('planFromDir', { configDir, overlays, json, prune })
+  const rawConfig = readValidConfigDir(configDir, overlays)
+  const processedConfig = libratoApi._processRawConfig(rawConfig)
+  const config = prune ? yield addUnmanaged(rawConfig, processedConfig) : processedConfig
+  const plan = yield libratoApi.planConfig(config)
+
+  if (json) {
+    yield writeJson(undefined, plan)
+  } else {
+    writeLines(formatPlan(plan))
   }
-  const withLogging = (what, id, action) =>
-    action.then(logOK(what, id)).catch(logAndCountError(what, id))
-  const withLoggingIgnore404 = (what, id, action) =>
-    action.then(logOK(what, id), ignore404(what, id)).catch(logAndCountError(what, id))
-
-  const deleteMetric = name =>
-    withLoggingIgnore404('delete metric', name, libratoApi.deleteMetric(name))
-  const deleteSpace = name =>
-    withLoggingIgnore404(
-      'delete space', name,
-      libratoApi.findSpaceByName(name).then(getId).then(id => libratoApi.deleteSpace(id))
-    )
-  const deleteAlert = name =>
-    withLoggingIgnore404(
-      'delete alert', name,
-      libratoApi.findAlertByName(name).then(getId).then(id => libratoApi.deleteAlert(id))
-    )
-  const deleteService = name =>
-    withLoggingIgnore404(
-      'delete service', name,
-      libratoApi.findServiceByTitle(name).then(getId).then(id => libratoApi.deleteService(id))
-    )
-  const deleteSource = name =>
-    withLoggingIgnore404('delete source', name, libratoApi.deleteSource(name))
-
-  const updateMetric = metric =>
-    withLogging('update metric', metric.name, libratoApi.putMetric(metric.name, metric))
-  const updateSpace = space =>
-    withLogging('update space', space.name, libratoApi.createOrUpdateSpace(space))
-  const updateAlert = alert =>
-    withLogging('update alert', alert.name, libratoApi.createOrUpdateAlert(alert))
-  const updateService = service =>
-    withLogging('update service', service.title, libratoApi.createOrUpdateService(service))
-  const updateSource = source =>
-    withLogging('update source', source.name, libratoApi.putSource(source.name, source))
-
-  // deletes first
-  yield {
-    metrics: _.map(deleteMetric, config.outdated.metrics),
-    spaces: _.map(deleteSpace, config.outdated.spaces),
-    alerts: _.map(deleteAlert, config.outdated.alerts),
-    services: _.map(deleteService, config.outdated.services),
-    sources: _.map(deleteSource, config.outdated.sources)
+  const pending = _.size(_.reject({ action: 'unchanged' }, _.flatten(_.values(plan))))
+  logger.verbose('%d changes pending', pending)
+  if (pending > 0) { process.exitCode = 2 }
+}
+
+/**
+ * Prints elements of the account which differ from the config dir (see checkDrift), as text
+ * or with --json as a json object, and sets exit code 2 if there is any drift.
+ */
+function * checkDrift (...argv) {
+  const parsed = parseFlags(argv, [], ['overlay'])
+  const configDir = parsed.args[0]
+  const overlays = parsed.flags.overlay
+  const json = parsed.flags.json === true
+  logger.verbose('checkDrift', { configDir, overlays, json })
+  const rawConfig = readValidConfigDir(configDir, overlays)
+  const config = libratoApi._processRawConfig(rawConfig)
+  const drift = yield libratoApi.checkDrift(config)
+
+  const drifted = _.size(_.flatten(_.values(drift)))
+  if (json) {
+    yield writeJson(undefined, drift)
+  } else {
+    writeLines(drifted > 0 ? formatDrift(drift) : ['no drift'])
   }
-  // updates
-  yield {
-    metrics: _.map(updateMetric, config.metrics),
-    services: _.map(updateService, config.services),
-    sources: _.map(updateSource, config.sources)
+  logger.verbose('%d elements drifted', drifted)
+  if (drifted > 0) { process.exitCode = 2 }
+}
+
+// like formatPlan, one line per element with the action and status of applying it
+function formatReport (report) {
+  const formatItem = kind => item => _.flatten([
+    `${kind} ${item.name}: ${item.action} ${item.status}`,
+    item.error ? [`  ${item.error.message}`] : [],
+    item.error && item.error.errors ? [`  ${JSON.stringify(item.error.errors)}`] : []
+  ])
+  return _.flatMap(key => _.flatMap(formatItem(configKinds[key]), report[key]), _.keys(configKinds))
+}
+
+/**
+ * Applies the config dir to the account, see applyConfig, and prints the report as text
+ * or with --json as a json object.
+ *
+ * With --dry-run this only prints the plan, like planFromDir.
+ *
+ * With --overlay dir (which can be repeated) the config dirs of an environment are merged over
+ * the config dir by element name in order, see _overlayRawConfig. This works for the other
+ * config dir actions too.
+ *
+ * With --prune this also deletes unmanaged elements, i.e. elements which are owned according
+ * to the rule in prune.json of the config dir but not configured, see findUnmanaged. This
+ * asks for confirmation unless --yes is given.
+ */
+function * updateFromDir (...argv) {
+  const parsed = parseFlags(argv, [], ['overlay'])
+  if (parsed.flags['dry-run'] === true) {
+    return yield planFromDir(..._.without(['--dry-run'], argv))
   }
-  // updates depending on metrics
-  yield {
-    spaces: _.map(updateSpace, config.spaces),
-    alerts: _.map(updateAlert, config.alerts)
+  const configDir = parsed.args[0]
+  const overlays = parsed.flags.overlay
+  const json = parsed.flags.json === true
+  const prune = parsed.flags.prune === true
+  logger.verbose('updateFromDir', { configDir, overlays, json, prune })
+  const rawConfig = readValidConfigDir(configDir, overlays)
+  const processedConfig = libratoApi._processRawConfig(rawConfig)
+  const config = prune ? yield addUnmanaged(rawConfig, processedConfig) : processedConfig
+
+  const outdatedCount = _.flow(_.values, _.flatten, _.size)
+  const pruneCount = outdatedCount(config.outdated) - outdatedCount(processedConfig.outdated)
+  const needsConfirmation = pruneCount > 0 && parsed.flags.yes !== true
+  if (needsConfirmation && !(yield confirm(`Delete ${pruneCount} unmanaged elements?`))) {
+    throw new Error('pruning not confirmed, use --yes to skip confirmation')
   }
 
+  const report = yield libratoApi.applyConfig(config)
+  if (json) {
+    yield writeJson(undefined, report)
+  } else {
+    writeLines(formatReport(report))
+  }
+  const errorCount = _.size(_.filter({ status: 'failed' }, _.flatten(_.values(report))))
   if (errorCount > 0) { throw new Error(`${errorCount} errors occured`) }
 }
 
@@ -287,19 +631,33 @@ const actions = {
   'dump-space': dumpSpace,
   'update-space': createOrUpdateSpace,
   'delete-space': deleteSpace,
+  'snapshot-chart': snapshotChart,
   'list-alerts': listAlerts,
   'get-alerts': getAlerts,
   'get-alerts-status': getAlertsStatus,
   'get-alert': getAlert,
+  'dump-alert': dumpAlert,
   'list-services': listServices,
   'get-services': getServices,
   'get-service': getService,
+  'dump-service': dumpService,
   'list-sources': listSources,
   'get-sources': getSources,
   'get-source': getSource,
+  'list-tokens': listTokens,
+  'get-tokens': getTokens,
+  'create-token': createToken,
+  'revoke-token': revokeToken,
+  'list-annotations': listAnnotations,
+  'get-annotation': getAnnotation,
+  'annotate': annotate,
   'show-config-dir': showConfigDir,
   'show-raw-config-dir': showRawConfigDir,
+  'validate-config-dir': validateConfigDir,
+  'plan-from-dir': planFromDir,
   'update-from-dir': updateFromDir,
+  'check-drift': checkDrift,
+  'export-to-dir': exportToDir,
   'help': help
 }
 
@@ -313,9 +671,19 @@ function * main (argv) {
   const args = _.drop(3, argv)
   function * unknownCommand () { throw new Error(`unknown command ${cmd}, use "help"`) }
   try {
-    if (process.env.LIBRATO_USER === undefined || process.env.LIBRATO_TOKEN === undefined) {
+    // replaying recorded requests needs no credentials
+    const needsAuth = process.env.LIBRATO_REPLAY === undefined
+    const missingAuth = _.some(
+      name => process.env[name] === undefined,
+      ['LIBRATO_USER', 'LIBRATO_TOKEN']
+    )
+    if (needsAuth && missingAuth) {
       throw new Error('LIBRATO_USER and LIBRATO_TOKEN must be set in the environment')
     }
+    if (process.env.LIBRATO_RECORD !== undefined && process.env.LIBRATO_REPLAY !== undefined) {
+      throw new Error('LIBRATO_RECORD and LIBRATO_REPLAY can not be set together')
+    }
+    libratoApi = createClient()
     // let's look at proper argv parsing and help sometime
     // https://www.npmjs.com/package/command-line-args
     // or https://github.com/75lb/command-line-commands
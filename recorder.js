@@ -0,0 +1,133 @@
+'use strict'
+
+const _ = require('lodash/fp')  // note fp variant
+const assert = require('assert')
+const errors = require('./errors')
+const fs = require('fs')
+const transports = require('./transports')
+
+// API token secrets are replaced in recordings: the tokens in response bodies (single tokens
+// or pages of them) and in the urls of requests updating or deleting a token by it
+const redacted = '[redacted]'
+const redactToken = body =>
+  _.isPlainObject(body) && _.has('token', body) ? _.set('token', redacted, body) : body
+const redactTokens = body => _.isPlainObject(body) && _.isArray(body.api_tokens)
+  ? _.set('api_tokens', _.map(redactToken, body.api_tokens), body)
+  : redactToken(body)
+const redactUrl = (method, url) => method === 'GET'
+  ? url
+  : _.replace(/\/api_tokens\/[^/?]+/, `/api_tokens/${redacted}`, url)
+
+// the parts of request options identifying a request, without auth and other credentials,
+// normalized by JSON like recordings read from a file
+const describeRequest = options => {
+  const method = _.toUpper(options.method || 'GET')
+  return JSON.parse(JSON.stringify({
+    method,
+    url: redactUrl(method, options.url),
+    qs: _.isEmpty(options.qs) ? undefined : options.qs,
+    body: options.body
+  }))
+}
+
+const describeResponse = response => _.omitBy(_.isUndefined, {
+  statusCode: response.statusCode,
+  headers: response.headers,
+  body: Buffer.isBuffer(response.body) ? undefined : redactTokens(response.body),
+  bodyBase64: Buffer.isBuffer(response.body) ? response.body.toString('base64') : undefined
+})
+
+const rawBody = response =>
+  !_.isUndefined(response.bodyBase64) ? Buffer.from(response.bodyBase64, 'base64')
+    : _.isString(response.body) ? Buffer.from(response.body)
+      : Buffer.from(_.isUndefined(response.body) ? '' : JSON.stringify(response.body))
+
+const readNdjson = file =>
+  _.map(JSON.parse, _.reject(_.isEmpty, _.split('\n', fs.readFileSync(file, 'utf8'))))
+
+/**
+ * Records requests and responses (or errors) as plain objects, or replays such recordings
+ * instead of doing requests. Recordings contain the requestId of apiRequest, the request
+ * (method, url, qs and body, but no auth) and the response (statusCode, headers and body,
+ * binary bodies in bodyBase64) or for failed requests without response the error.
+ * API tokens are replaced by "[redacted]" in urls and response bodies.
+ *
+ * Requests are replayed by the first unused recording of an equal request, so repeated
+ * requests (e.g. retries or polling) are served in the recorded order.
+ *
+ * @param options {object} A plain object with the following optional properties:
+ *   - record (string|function): a file to write recordings to as NDJSON (truncated when
+ *     the Recorder is created), or a function called with each recording
+ *   - replay (string|Array): a NDJSON file with recordings, or an Array of recordings
+ * @param logger A winston style logger.
+ */
+class Recorder {
+
+  constructor (options, logger) {
+    const o = options || {}
+    assert(!(o.record && o.replay), 'record and replay can not be used together')
+    this.logger = logger
+    if (_.isString(o.record)) {
+      fs.writeFileSync(o.record, '')
+    }
+    this.record = _.isString(o.record)
+      ? recording => fs.appendFileSync(o.record, `${JSON.stringify(recording)}\n`)
+      : o.record
+    this.recordings = _.isString(o.replay) ? readNdjson(o.replay) : o.replay
+    this.replayTransport = transports.create(options => this._replay(options))
+  }
+
+  /**
+   * Do the request with transport(options), record it or replay it instead, depending on the
+   * options of this Recorder. Returns (a Promise of) the result like transport does.
+   */
+  send (transport, options, requestId) {
+    if (this.recordings) {
+      this.logger.debug('Recorder#send replay', { requestId })
+      return this.replayTransport(options)
+    }
+    const pendingRequest = transport(options)
+    if (this.record) {
+      this._record(pendingRequest, options, requestId)
+    }
+    return pendingRequest
+  }
+
+  _record (pendingRequest, options, requestId) {
+    const request = describeRequest(options)
+    let response
+    if (_.isFunction(pendingRequest.on)) {
+      pendingRequest.on('response', r => { response = r })
+    }
+    const write = result => this.record(_.assign({ requestId, request }, result))
+    // recording must not fail the request, nor reject unhandled
+    const logError = error =>
+      this.logger.error('Recorder#_record failed', { requestId, message: error.message })
+    Promise.resolve(pendingRequest).then(
+      body => write({ response: describeResponse(response || { statusCode: 200, body }) }),
+      error => write(error.response
+        ? { response: describeResponse(error.response) }
+        : { error: _.pick(['message', 'code'], error) })
+    ).catch(logError)
+  }
+
+  _replay (options) {
+    const request = describeRequest(options)
+    const recording = _.find(r => _.isEqual(r.request, request), this.recordings)
+    if (!recording) {
+      const message = `no recording for ${request.method} ${request.url}`
+      const body = { errors: { request: [message] } }
+      return Promise.reject(new errors.LibratoApiError(message, undefined, body))
+    }
+    this.recordings = _.without([recording], this.recordings)
+    this.logger.silly('Recorder#_replay', { recordedRequestId: recording.requestId })
+    if (recording.error) {
+      const error = new Error(recording.error.message)
+      error.code = recording.error.code
+      return Promise.reject(error)
+    }
+    return Promise.resolve(_.assign(recording.response, { body: rawBody(recording.response) }))
+  }
+}
+
+module.exports = Recorder
@@ -0,0 +1,203 @@
+'use strict'
+
+const _ = require('lodash/fp')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const winston = require('winston')
+
+const sinon = require('sinon')
+const chai = require('chai')
+chai.use(require('sinon-chai'))
+chai.use(require('chai-as-promised'))
+const expect = chai.expect
+
+const errors = require('./errors')
+const LibratoApi = require('./index').LibratoApi
+const Recorder = require('./recorder')
+const createFakeLibrato = require('./testing').createFakeLibrato
+
+describe('A Recorder', () => {
+  const logger = () => sinon.stub(new (winston.Logger)())
+  const createClient = options => new LibratoApi(_.assign({
+    serviceUrl: 'http://url/v1',
+    auth: { user: 'testuser', pass: 'testtoken' },
+    logger: logger(),
+    retry: { maxAttempts: 1 }
+  }, options))
+  const flush = () => new Promise(resolve => setImmediate(resolve))
+
+  let fake
+  beforeEach(function * () {
+    fake = createFakeLibrato({ spaces: [{ name: 'System', charts: [] }] })
+  })
+
+  it('should pass requests through by default', function * () {
+    const recorder = new Recorder(undefined, logger())
+    const transport = sinon.stub().returns('result')
+    expect(recorder.send(transport, { url: 'http://url' }, 'id')).to.equal('result')
+    expect(transport).to.have.been.calledWith({ url: 'http://url' })
+  })
+
+  it('should not record and replay at once', function * () {
+    expect(() => new Recorder({ record: 'file', replay: 'file' })).to.throw('record and replay')
+  })
+
+  it('should record requests and responses with the request id', function * () {
+    const recordings = []
+    const libratoApi = createClient({ request: fake.request, record: r => recordings.push(r) })
+
+    yield libratoApi.postSpace({ name: 'New' })
+    yield libratoApi.getSpaces({ qs: { name: 'New' } })
+    yield flush()
+
+    const requestId = libratoApi.logger.debug.firstCall.args[1].requestId
+    expect(recordings).to.have.lengthOf(2)
+    expect(recordings[0]).to.eql({
+      requestId,
+      request: { method: 'POST', url: 'http://url/v1/spaces', body: { name: 'New' } },
+      response: { statusCode: 201, headers: { 'content-type': 'application/json' }, body: { name: 'New', id: 2 } }
+    })
+    expect(recordings[1].request).to.eql({ method: 'GET', url: 'http://url/v1/spaces', qs: { name: 'New' } })
+    expect(JSON.stringify(recordings)).to.not.include('testtoken')
+  })
+
+  it('should redact API tokens', function * () {
+    const token = { name: 'ci', token: 'secret1', role: 'viewer', active: true }
+    const request = sinon.stub()
+    request.resolves({
+      query: { offset: 0, length: 1, found: 1, total: 1 },
+      api_tokens: [token]
+    })
+    request.withArgs(sinon.match({ method: 'PUT' })).resolves(_.set('active', false, token))
+    request.withArgs(sinon.match({ method: 'DELETE' })).resolves()
+    const recordings = []
+    const libratoApi = createClient({ request, record: r => recordings.push(r) })
+
+    yield libratoApi.getApiTokens()
+    yield libratoApi.putApiToken('secret1', { active: false })
+    yield libratoApi.deleteApiToken('secret1')
+    yield flush()
+
+    expect(JSON.stringify(recordings)).to.not.include('secret1')
+    expect(_.map('request.url', recordings)).to.eql([
+      'http://url/v1/api_tokens',
+      'http://url/v1/api_tokens/[redacted]',
+      'http://url/v1/api_tokens/[redacted]'
+    ])
+    expect(recordings[0].response.body.api_tokens).to.eql([_.set('token', '[redacted]', token)])
+    expect(recordings[1].response.body).to.include({ token: '[redacted]', active: false })
+
+    const replayingClient = createClient({ replay: recordings })
+    expect(yield replayingClient.putApiToken('secret2', { active: false })).to.include({ name: 'ci' })
+  })
+
+  it('should record failed requests', function * () {
+    const recordings = []
+    const record = r => recordings.push(r)
+    const failure = new Error('connect ECONNREFUSED')
+    failure.code = 'ECONNREFUSED'
+
+    yield expect(createClient({ request: fake.request, record }).getSpace(999))
+      .to.eventually.be.rejectedWith(errors.NotFoundError)
+    yield expect(createClient({ request: () => Promise.reject(failure), record }).getSpace(1))
+      .to.eventually.be.rejectedWith(failure)
+    yield flush()
+
+    expect(recordings[0].response).to.eql({
+      statusCode: 404,
+      headers: { 'content-type': 'application/json' },
+      body: { errors: { request: ['Not Found'] } }
+    })
+    expect(recordings[1]).to.have.property('error').which.eql({ message: 'connect ECONNREFUSED', code: 'ECONNREFUSED' })
+  })
+
+  it('should record results of transports without response events', function * () {
+    const recordings = []
+    const libratoApi = createClient({
+      request: () => Promise.resolve(Buffer.from('PNG')),
+      record: r => recordings.push(r)
+    })
+    yield libratoApi.getSnapshotImage({ image_href: 'http://images/1.png' })
+    yield flush()
+    expect(recordings[0]).to.deep.include({ request: { method: 'GET', url: 'http://images/1.png' } })
+    expect(recordings[0].response).to.eql({ statusCode: 200, bodyBase64: Buffer.from('PNG').toString('base64') })
+  })
+
+  it('should record to a file and replay it without network or credentials', function * () {
+    const file = path.join(os.tmpdir(), `librato-api-recorder-${process.pid}.ndjson`)
+    try {
+      const recordingClient = createClient({ request: fake.request, record: file })
+      const space = yield recordingClient.findSpaceByName('System')
+      yield recordingClient.putSpace(space.id, { name: 'Renamed' })
+      yield expect(recordingClient.getSpace(999)).to.eventually.be.rejectedWith(errors.NotFoundError)
+      yield flush()
+      expect(_.split('\n', fs.readFileSync(file, 'utf8'))).to.have.lengthOf(4)
+
+      const request = sinon.spy()
+      const replayingClient = createClient({ request, auth: {}, replay: file })
+      expect(yield replayingClient.findSpaceByName('System')).to.eql(space)
+      expect(yield replayingClient.putSpace(space.id, { name: 'Renamed' })).to.be.undefined
+      yield expect(replayingClient.getSpace(999)).to.eventually.be.rejectedWith(errors.NotFoundError)
+        .and.to.have.property('error').which.eql({ errors: { request: ['Not Found'] } })
+      yield expect(replayingClient.getSpace(space.id))
+        .to.eventually.be.rejectedWith(errors.LibratoApiError, `no recording for GET http://url/v1/spaces/${space.id}`)
+      expect(request).to.not.have.been.called
+      expect(replayingClient.logger.debug).to.have.been.calledWith('Recorder#send replay')
+    } finally {
+      fs.unlinkSync(file)
+    }
+  })
+
+  it('should truncate the file to record to', function * () {
+    const file = path.join(os.tmpdir(), `librato-api-recorder-${process.pid}.ndjson`)
+    fs.writeFileSync(file, '{"requestId":"old"}\n')
+    try {
+      const recordingClient = createClient({ request: fake.request, record: file })
+      expect(fs.readFileSync(file, 'utf8')).to.equal('')
+      yield recordingClient.getSpaces()
+      yield flush()
+      expect(_.split('\n', fs.readFileSync(file, 'utf8'))).to.have.lengthOf(2)
+    } finally {
+      fs.unlinkSync(file)
+    }
+  })
+
+  it('should fail to create with a file it can not write to', function * () {
+    const file = path.join(os.tmpdir(), `librato-api-recorder-${process.pid}`, 'missing.ndjson')
+    expect(() => createClient({ record: file })).to.throw('ENOENT')
+  })
+
+  it('should log failed recordings without failing requests', function * () {
+    const libratoApi = createClient({
+      request: fake.request,
+      record: () => { throw new Error('disk full') }
+    })
+    yield libratoApi.getSpaces()
+    yield expect(libratoApi.getSpace(999)).to.eventually.be.rejectedWith(errors.NotFoundError)
+    yield flush()
+    expect(libratoApi.logger.error).to.have.been.calledTwice
+      .and.calledWithMatch('Recorder#_record failed', { message: 'disk full' })
+  })
+
+  it('should replay recordings in order', function * () {
+    const request = { method: 'GET', url: 'http://url/v1/metrics/m1' }
+    const libratoApi = createClient({
+      retry: { maxAttempts: 3, baseDelay: 1 },
+      replay: [
+        { requestId: 1, request, response: { statusCode: 503, body: 'unavailable' } },
+        { requestId: 2, request, response: { statusCode: 200, headers: {}, body: { name: 'm1' } } },
+        { requestId: 3, request, error: { message: 'socket hang up', code: 'ECONNRESET' } },
+        { requestId: 4, request, response: { statusCode: 200, headers: {}, bodyBase64: Buffer.from('PNG').toString('base64') } },
+        { requestId: 5, request: _.set('method', 'DELETE', request), response: { statusCode: 204 } }
+      ]
+    })
+
+    expect(yield libratoApi.getMetric('m1')).to.eql({ name: 'm1' })
+    expect(libratoApi.logger.warn).to.have.been.calledOnce
+    yield expect(libratoApi.getMetric('m1')).to.eventually.be.rejectedWith('socket hang up')
+      .and.to.include({ code: 'ECONNRESET' })
+    expect((yield libratoApi.getSnapshotImage({ image_href: 'http://url/v1/metrics/m1' })).toString()).to.equal('PNG')
+    expect(yield libratoApi.deleteMetric('m1')).to.be.undefined
+  })
+})
@@ -0,0 +1,100 @@
+'use strict'
+
+const _ = require('lodash/fp')  // note fp variant
+
+const rateLimitHeaders = ['x-librato-ratelimit-std', 'x-librato-ratelimit-agg']
+
+// parses a rate limit header like "limit=300,remaining=299,reset=1384889100"
+const parseRateLimit = header => {
+  const fields = _.fromPairs(_.map(_.split('='), _.split(',', header || '')))
+  const remaining = Number(fields.remaining)
+  const reset = Number(fields.reset) * 1000
+  return _.isNaN(remaining) || _.isNaN(reset) ? undefined : { remaining, reset }
+}
+
+/**
+ * Runs request tasks with limited concurrency, and queues them while the rate limit
+ * budget reported by the Librato API is (almost) used up until the budget is reset.
+ *
+ * @param options {object} A plain object with the following optional properties:
+ *   - concurrency (number): max requests in flight, default 10
+ *   - reserve (number): budget left untouched before queueing requests, default 5
+ * @param logger A winston style logger.
+ *
+ * @see https://www.librato.com/docs/api/#rate-limiting
+ */
+class RequestScheduler {
+
+  constructor (options, logger) {
+    const o = options || {}
+    this.concurrency = o.concurrency || 10
+    this.reserve = _.isUndefined(o.reserve) ? 5 : o.reserve
+    this.logger = logger
+    this.running = 0
+    this.queue = []
+    // unknown until the first response, reset is in ms since the epoch
+    this.remaining = Infinity
+    this.reset = 0
+    this.timer = undefined
+  }
+
+  /**
+   * Run task (a function returning a Promise) as soon as concurrency and rate limit allow,
+   * and return (a Promise of) its result.
+   */
+  schedule (task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject })
+      this._next()
+    })
+  }
+
+  /**
+   * Update the remaining budget from the rate limit headers of a response.
+   * The tighter one of the standard and aggregate limits is used.
+   */
+  update (headers) {
+    const limits = _.compact(_.map(name => parseRateLimit(_.get(name, headers)), rateLimitHeaders))
+    if (_.isEmpty(limits)) { return }
+    const tightest = _.minBy('remaining', limits)
+    this.remaining = tightest.remaining
+    this.reset = tightest.reset
+    this.logger.silly('RequestScheduler#update', { remaining: this.remaining, reset: this.reset })
+    this._next()
+  }
+
+  _next () {
+    if (this.timer || this.running >= this.concurrency || _.isEmpty(this.queue)) { return }
+
+    const now = Date.now()
+    if (this.remaining <= this.reserve && now < this.reset) {
+      const wait = this.reset - now
+      this.logger.verbose('RequestScheduler rate limit reached, waiting', {
+        wait, remaining: this.remaining, queued: this.queue.length
+      })
+      this.timer = setTimeout(() => {
+        this.timer = undefined
+        this.remaining = Infinity
+        this._next()
+      }, wait)
+      return
+    }
+
+    const item = this.queue.shift()
+    this.running += 1
+    this.remaining -= 1
+    const done = () => {
+      this.running -= 1
+      this._next()
+    }
+    Promise.resolve()
+      .then(item.task)
+      .then(
+        result => { done(); item.resolve(result) },
+        error => { done(); item.reject(error) }
+      )
+    this._next()
+  }
+}
+
+module.exports = RequestScheduler
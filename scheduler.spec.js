@@ -0,0 +1,130 @@
+'use strict'
+
+const winston = require('winston')
+
+const sinon = require('sinon')
+const chai = require('chai')
+chai.use(require('sinon-chai'))
+chai.use(require('chai-as-promised'))
+const expect = chai.expect
+
+const RequestScheduler = require('./scheduler')
+
+describe('A RequestScheduler', () => {
+  // a task which resolves or rejects only when told so
+  function controlledTask () {
+    const task = sinon.spy(() => new Promise((resolve, reject) => {
+      task.resolve = resolve
+      task.reject = reject
+    }))
+    return task
+  }
+  const flush = () => new Promise(resolve => setImmediate(resolve))
+  const rateLimit = (remaining, reset) => `limit=300,remaining=${remaining},reset=${reset}`
+
+  let clock
+  let scheduler
+  beforeEach(function * () {
+    clock = sinon.useFakeTimers({ now: 1000000, toFake: ['setTimeout', 'clearTimeout', 'Date'] })
+    scheduler = new RequestScheduler({ concurrency: 2, reserve: 5 }, sinon.stub(new (winston.Logger)()))
+  })
+  afterEach(function * () {
+    sinon.restore()
+    clock.restore()
+  })
+
+  it('should have default options', function * () {
+    const defaultScheduler = new RequestScheduler()
+    expect(defaultScheduler).to.have.property('concurrency', 10)
+    expect(defaultScheduler).to.have.property('reserve', 5)
+    expect(defaultScheduler).to.have.property('remaining', Infinity)
+  })
+
+  it('should allow a reserve of 0', function * () {
+    expect(new RequestScheduler({ reserve: 0 })).to.have.property('reserve', 0)
+  })
+
+  it('should run tasks and return their results', function * () {
+    const results = yield [
+      scheduler.schedule(() => Promise.resolve(1)),
+      scheduler.schedule(() => 2)
+    ]
+    expect(results).to.eql([1, 2])
+    yield expect(scheduler.schedule(() => Promise.reject(new Error('failed'))))
+      .to.eventually.be.rejectedWith('failed')
+    expect(scheduler).to.have.property('running', 0)
+  })
+
+  it('should limit concurrency', function * () {
+    const tasks = [controlledTask(), controlledTask(), controlledTask()]
+    const results = tasks.map(task => scheduler.schedule(task))
+    const outcomes = results.map(result => result.catch(error => error.message))
+    yield flush()
+
+    expect(tasks[0]).to.have.been.calledOnce
+    expect(tasks[1]).to.have.been.calledOnce
+    expect(tasks[2]).to.not.have.been.called
+
+    tasks[1].reject(new Error('failed'))
+    yield flush()
+    expect(tasks[2]).to.have.been.calledOnce
+
+    tasks[0].resolve(0)
+    tasks[2].resolve(2)
+    expect(yield outcomes).to.eql([0, 'failed', 2])
+  })
+
+  it('should track the tightest rate limit from headers', function * () {
+    scheduler.update({
+      'x-librato-ratelimit-std': rateLimit(200, 1001),
+      'x-librato-ratelimit-agg': rateLimit(100, 1002)
+    })
+    expect(scheduler).to.have.property('remaining', 100)
+    expect(scheduler).to.have.property('reset', 1002000)
+
+    scheduler.update({ 'x-librato-ratelimit-std': rateLimit(150, 1003) })
+    expect(scheduler).to.have.property('remaining', 150)
+    expect(scheduler).to.have.property('reset', 1003000)
+  })
+
+  it('should ignore missing or invalid rate limit headers', function * () {
+    scheduler.update(undefined)
+    scheduler.update({})
+    scheduler.update({ 'x-librato-ratelimit-std': 'garbage' })
+    expect(scheduler).to.have.property('remaining', Infinity)
+  })
+
+  it('should count started requests against the budget', function * () {
+    scheduler.update({ 'x-librato-ratelimit-std': rateLimit(100, 2000) })
+    yield scheduler.schedule(() => 1)
+    expect(scheduler).to.have.property('remaining', 99)
+  })
+
+  it('should queue requests until reset when the budget is low', function * () {
+    scheduler.update({ 'x-librato-ratelimit-std': rateLimit(5, 1010) })
+    const task = controlledTask()
+    const result = scheduler.schedule(task)
+    scheduler.schedule(() => 2)
+    yield flush()
+    expect(task).to.not.have.been.called
+    expect(scheduler.logger.verbose).to.have.been.calledOnce
+      .and.calledWith('RequestScheduler rate limit reached, waiting', { wait: 10000, remaining: 5, queued: 1 })
+
+    clock.tick(9999)
+    yield flush()
+    expect(task).to.not.have.been.called
+
+    clock.tick(1)
+    yield flush()
+    expect(task).to.have.been.calledOnce
+    task.resolve(1)
+    yield expect(result).to.eventually.equal(1)
+    expect(scheduler).to.have.property('remaining', Infinity)
+  })
+
+  it('should continue when the budget was reset', function * () {
+    scheduler.update({ 'x-librato-ratelimit-std': rateLimit(0, 999) })
+    const result = yield scheduler.schedule(() => 1)
+    expect(result).to.equal(1)
+  })
+})
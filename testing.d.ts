@@ -0,0 +1,28 @@
+// Type definitions for librato-api/testing, see testing.js
+
+import librato = require('./index')
+
+export interface FakeLibratoOptions {
+  pageSize?: number
+  metrics?: librato.Metric[]
+  spaces?: Array<librato.Space & { charts?: librato.Chart[] }>
+  alerts?: librato.Alert[]
+  services?: librato.Service[]
+  sources?: librato.Source[]
+}
+
+export interface FakeLibrato {
+  request: librato.Transport
+  createClient (options?: librato.Options): librato.LibratoApi
+  state: {
+    metrics: librato.Metric[]
+    spaces: librato.Space[]
+    charts: { [spaceId: number]: librato.Chart[] }
+    alerts: librato.Alert[]
+    services: librato.Service[]
+    sources: librato.Source[]
+  }
+  requests: Array<{ method: string, path: string, qs: { [name: string]: any }, body: any }>
+}
+
+export function createFakeLibrato (options?: FakeLibratoOptions): FakeLibrato
@@ -0,0 +1,330 @@
+'use strict'
+
+const _ = require('lodash/fp')  // note fp variant
+const LibratoApi = require('./index').LibratoApi
+const transports = require('./transports')
+const url = require('url')
+
+const respond = (statusCode, body) => ({ statusCode, body })
+const ok = body => respond(200, body)
+const created = body => respond(201, body)
+const noContent = respond(204)
+const notFound = respond(404, { errors: { request: ['Not Found'] } })
+const invalid = params => respond(400, { errors: { params } })
+
+const isBlank = value => _.isNil(value) || value === '' || (_.isArray(value) && _.isEmpty(value))
+// params errors for blank required properties, like the Librato API reports them
+const missing = (props, obj) => {
+  const blank = _.filter(prop => isBlank(obj[prop]), props)
+  return _.fromPairs(_.map(prop => [prop, ['is not present']], blank))
+}
+const notIncluded = (value, values) =>
+  value && !_.includes(value, values) ? { type: ['is not included in the list'] } : {}
+const validated = (params, onValid) => _.isEmpty(params) ? onValid() : invalid(params)
+
+const chartTypes = ['line', 'stacked', 'bignumber']
+const metricTypes = ['gauge', 'counter', 'composite']
+
+// the API filters lists by a case insensitive contains check
+const containing = (property, value) => _.isNil(value)
+  ? _.identity
+  : _.filter(obj => _.includes(_.toLower(value), _.toLower(obj[property])))
+
+const matchRoute = (pattern, path) => {
+  const parts = _.split('/', pattern)
+  if (parts.length !== path.length) { return undefined }
+  const params = {}
+  const matches = _.every(i => {
+    if (_.startsWith(':', parts[i])) {
+      params[parts[i].slice(1)] = path[i]
+      return true
+    }
+    return parts[i] === path[i]
+  }, _.range(0, parts.length))
+  return matches ? params : undefined
+}
+
+/**
+ * Create an in-memory fake of the Librato API for tests, which plugs into the request option
+ * of LibratoApi (or use createClient). It supports metrics, spaces with charts, alerts,
+ * services and sources, with pagination like the API (see pageSize), filtering lists by
+ * name (or title for services), 404s for unknown elements and 400s for invalid elements.
+ *
+ * Requests are JSON serialized in both directions, so the state is never shared with callers.
+ *
+ * @param options {object} A plain object with the following optional properties:
+ *   - pageSize (number): max results per page, default 100
+ *   - metrics, spaces (including charts), alerts (services by id or title), services, sources
+ *     (Array): initial contents of the account, created as if posted to the API
+ *
+ * Returns an object with the following properties:
+ *   - request (function): the transport to use as request option of LibratoApi
+ *   - createClient (function): create a LibratoApi using request, takes optional other options
+ *   - state (object): the current contents of the account, charts are by space id
+ *   - requests (Array): all requests so far, as { method, path, qs, body }
+ *
+ * @example
+ *   const testing = require('librato-api/testing')
+ *   const fake = testing.createFakeLibrato({ spaces: [{ name: 'A', charts: [] }] })
+ *   const libratoApi = fake.createClient()
+ *   libratoApi.findSpaceByName('A').then(...)
+ */
+const createFakeLibrato = options => {
+  const o = _.assign({ pageSize: 100 }, options)
+  const state = { metrics: [], spaces: [], charts: {}, alerts: [], services: [], sources: [] }
+  const requests = []
+  let lastId = 0
+  const nextId = () => {
+    lastId += 1
+    return lastId
+  }
+
+  const paginate = (key, qs, items, all) => {
+    const offset = Number(qs.offset) || 0
+    const length = Math.min(Number(qs.length) || o.pageSize, o.pageSize)
+    const page = items.slice(offset, offset + length)
+    const query = { offset, length: page.length, found: items.length, total: all.length }
+    return ok({ query, [key]: page })
+  }
+  const list = (key, property) => (params, body, qs) =>
+    paginate(key, qs, containing(property, qs[property])(state[key]), state[key])
+
+  const byId = key => id => _.find({ id: Number(id) }, state[key])
+  const byName = key => name => _.find({ name }, state[key])
+  const without = (key, obj) => { state[key] = _.without([obj], state[key]) }
+  const add = (key, obj) => { state[key] = [...state[key], obj] }
+  const replace = (key, obj, newObj) => {
+    state[key] = _.map(x => x === obj ? newObj : x, state[key])
+  }
+  // read, update or delete an element found by find(params[param]), else 404
+  const withElement = (find, param, fn) => (params, body, qs) => {
+    const obj = find(params[param])
+    return _.isUndefined(obj) ? notFound : fn(obj, body || {}, params, qs)
+  }
+
+  // *** metrics ***
+
+  const validateMetric = metric => _.assign(
+    notIncluded(metric.type, metricTypes),
+    metric.type === 'composite' ? missing(['composite'], metric) : {}
+  )
+  const putMetric = (params, body) => {
+    const existing = byName('metrics')(params.name)
+    const metric = _.assign(existing || {}, _.assign(body, { name: params.name }))
+    const errors = _.assign(existing ? {} : missing(['type'], metric), validateMetric(metric))
+    return validated(errors, () => {
+      if (existing) { replace('metrics', existing, metric) } else { add('metrics', metric) }
+      return noContent
+    })
+  }
+  // measurements are not kept, but time based queries get a measurements result
+  const getMetric = (metric, body, params, qs) =>
+    ok(qs.start_time || qs.duration ? _.assign(metric, { measurements: {}, query: {} }) : metric)
+
+  // *** spaces and charts ***
+
+  const withStreamId = stream => _.assign({ id: stream.id || nextId() }, stream)
+  const withStreamIds = chart => _.update('streams', _.map(withStreamId), chart)
+  // lodash/fp assign is capped to 2 arguments, so use assignAll
+  const validateChart = chart => _.assignAll([
+    missing(['name'], chart),
+    notIncluded(chart.type, chartTypes),
+    _.some(s => isBlank(s.metric) && isBlank(s.composite), chart.streams)
+      ? { streams: ['must have a metric or composite'] }
+      : {}
+  ])
+  const postSpace = (params, body) => validated(missing(['name'], body || {}), () => {
+    const space = _.assign(_.omit('charts', body), { id: nextId() })
+    add('spaces', space)
+    state.charts = _.set(space.id, [], state.charts)
+    return created(space)
+  })
+  const putSpace = (space, body) => validated(missing(['name'], _.assign(space, body)), () => {
+    replace('spaces', space, _.assign(space, _.omit(['id', 'charts'], body)))
+    return noContent
+  })
+  const deleteSpace = space => {
+    without('spaces', space)
+    state.charts = _.omit(space.id, state.charts)
+    return noContent
+  }
+
+  const chartsOf = space => state.charts[space.id]
+  const setCharts = (space, charts) => { state.charts = _.set(space.id, charts, state.charts) }
+  const findChart = (space, id) => _.find({ id: Number(id) }, chartsOf(space))
+  const withChart = fn => withElement(byId('spaces'), 'id', (space, body, params) => {
+    const chart = findChart(space, params.chartId)
+    return _.isUndefined(chart) ? notFound : fn(space, chart, body)
+  })
+  const postChart = (space, body) => {
+    const defaults = { type: 'line', streams: [] }
+    const chart = withStreamIds(_.assign(defaults, _.assign(body, { id: nextId() })))
+    return validated(validateChart(chart), () => {
+      setCharts(space, [...chartsOf(space), chart])
+      return created(chart)
+    })
+  }
+  const putChart = (space, chart, body) => {
+    const updated = withStreamIds(_.assign(chart, _.omit('id', body)))
+    return validated(validateChart(updated), () => {
+      setCharts(space, _.map(c => c === chart ? updated : c, chartsOf(space)))
+      return ok(updated)
+    })
+  }
+  const deleteChart = (space, chart) => {
+    setCharts(space, _.without([chart], chartsOf(space)))
+    return noContent
+  }
+
+  // *** alerts and services ***
+
+  // the API takes service ids, but returns the services embedded in alerts
+  const expandServices = alert => _.update('services', _.map(byId('services')), alert)
+  const validateAlert = (alert, id) => _.assignAll([
+    missing(['name', 'conditions'], alert),
+    _.some(a => a.name === alert.name && a.id !== id, state.alerts)
+      ? { name: ['has already been taken'] }
+      : {},
+    _.some(s => _.isUndefined(byId('services')(s)), alert.services)
+      ? { services: ['contains an unknown service'] }
+      : {}
+  ])
+  const serviceId = service => _.isObject(service) ? service.id : service
+  const serviceIds = _.update('services', _.flow(_.defaultTo([]), _.map(serviceId)))
+  const postAlert = (params, body) => {
+    const defaults = { active: true, rearm_seconds: 600 }
+    const alert = serviceIds(_.assign(defaults, _.assign(body, { id: nextId() })))
+    return validated(validateAlert(alert, alert.id), () => {
+      add('alerts', alert)
+      return created(expandServices(alert))
+    })
+  }
+  const putAlert = (alert, body) => {
+    const updated = serviceIds(_.assign(alert, _.omit('id', body)))
+    return validated(validateAlert(updated, alert.id), () => {
+      replace('alerts', alert, updated)
+      return noContent
+    })
+  }
+
+  const serviceProps = ['type', 'title', 'settings']
+  const postService = (params, body) => validated(missing(serviceProps, body || {}), () => {
+    const service = _.assign(body, { id: nextId() })
+    add('services', service)
+    return created(service)
+  })
+  const putService = (service, body) => {
+    const updated = _.assign(service, _.omit('id', body))
+    return validated(missing(serviceProps, updated), () => {
+      replace('services', service, updated)
+      return noContent
+    })
+  }
+
+  // *** sources ***
+
+  const putSource = (params, body) => {
+    const existing = byName('sources')(params.name)
+    const source = _.assign(existing || {}, _.assign(body, { name: params.name }))
+    if (existing) { replace('sources', existing, source) } else { add('sources', source) }
+    return noContent
+  }
+
+  const deleteFrom = key => obj => {
+    without(key, obj)
+    return noContent
+  }
+
+  // *** routes ***
+
+  const listAlerts = (params, body, qs) => {
+    const result = list('alerts', 'name')(params, body, qs)
+    return _.update(['body', 'alerts'], _.map(expandServices), result)
+  }
+  const getAlertsStatus = () => ok({ firing: [], cleared: [] })
+  const getCharts = space => ok(chartsOf(space))
+  const getChart = (space, chart) => ok(chart)
+  const getAlert = alert => ok(expandServices(alert))
+
+  const routes = [
+    ['GET', 'metrics', list('metrics', 'name')],
+    ['GET', 'metrics/:name', withElement(byName('metrics'), 'name', getMetric)],
+    ['PUT', 'metrics/:name', putMetric],
+    ['DELETE', 'metrics/:name', withElement(byName('metrics'), 'name', deleteFrom('metrics'))],
+    ['GET', 'spaces', list('spaces', 'name')],
+    ['POST', 'spaces', postSpace],
+    ['GET', 'spaces/:id', withElement(byId('spaces'), 'id', ok)],
+    ['PUT', 'spaces/:id', withElement(byId('spaces'), 'id', putSpace)],
+    ['DELETE', 'spaces/:id', withElement(byId('spaces'), 'id', deleteSpace)],
+    ['GET', 'spaces/:id/charts', withElement(byId('spaces'), 'id', getCharts)],
+    ['POST', 'spaces/:id/charts', withElement(byId('spaces'), 'id', postChart)],
+    ['GET', 'spaces/:id/charts/:chartId', withChart(getChart)],
+    ['PUT', 'spaces/:id/charts/:chartId', withChart(putChart)],
+    ['DELETE', 'spaces/:id/charts/:chartId', withChart(deleteChart)],
+    ['GET', 'alerts', listAlerts],
+    ['GET', 'alerts/status', getAlertsStatus],
+    ['POST', 'alerts', postAlert],
+    ['GET', 'alerts/:id', withElement(byId('alerts'), 'id', getAlert)],
+    ['PUT', 'alerts/:id', withElement(byId('alerts'), 'id', putAlert)],
+    ['DELETE', 'alerts/:id', withElement(byId('alerts'), 'id', deleteFrom('alerts'))],
+    ['GET', 'services', list('services', 'title')],
+    ['POST', 'services', postService],
+    ['GET', 'services/:id', withElement(byId('services'), 'id', ok)],
+    ['PUT', 'services/:id', withElement(byId('services'), 'id', putService)],
+    ['DELETE', 'services/:id', withElement(byId('services'), 'id', deleteFrom('services'))],
+    ['GET', 'sources', list('sources', 'name')],
+    ['GET', 'sources/:name', withElement(byName('sources'), 'name', ok)],
+    ['PUT', 'sources/:name', putSource],
+    ['DELETE', 'sources/:name', withElement(byName('sources'), 'name', deleteFrom('sources'))]
+  ]
+
+  const handle = (method, path, body, qs) => {
+    requests.push({ method, path: _.join('/', path), qs, body })
+    const route = _.find(r => r[0] === method && matchRoute(r[1], path), routes)
+    return route ? route[2](matchRoute(route[1], path), body, qs) : notFound
+  }
+
+  const send = (options, body) => Promise.resolve().then(() => {
+    const pathname = url.parse(options.url).pathname
+    const segments = _.map(decodeURIComponent, _.compact(_.split('/', pathname)))
+    const path = segments[0] === 'v1' ? _.tail(segments) : segments
+    const data = _.isUndefined(body) ? undefined : JSON.parse(body)
+    const result = handle(_.toUpper(options.method || 'GET'), path, data, options.qs || {})
+    return {
+      statusCode: result.statusCode,
+      headers: { 'content-type': 'application/json' },
+      body: Buffer.from(_.isUndefined(result.body) ? '' : JSON.stringify(result.body))
+    }
+  })
+
+  const seed = (method, path, body) => {
+    const result = handle(method, path, body, {})
+    if (result.statusCode >= 300) {
+      throw new Error(`invalid ${path[0]} in fake: ${JSON.stringify(result.body)}`)
+    }
+    return result.body
+  }
+  _.forEach(metric => seed('PUT', ['metrics', metric.name], metric), o.metrics)
+  _.forEach(source => seed('PUT', ['sources', source.name], source), o.sources)
+  _.forEach(service => seed('POST', ['services'], service), o.services)
+  _.forEach(space => {
+    const id = seed('POST', ['spaces'], space).id
+    _.forEach(chart => seed('POST', ['spaces', id, 'charts'], chart), space.charts)
+  }, o.spaces)
+  const serviceIdByTitle = title => _.getOr(title, 'id', _.find({ title }, state.services))
+  const withServiceIds = _.update('services', _.map(serviceIdByTitle))
+  _.forEach(alert => seed('POST', ['alerts'], withServiceIds(alert)), o.alerts)
+  requests.length = 0
+
+  const request = transports.create(send)
+  return {
+    request,
+    createClient: clientOptions => new LibratoApi(_.assign({ request }, clientOptions)),
+    state,
+    requests
+  }
+}
+
+module.exports = {
+  createFakeLibrato
+}
@@ -0,0 +1,235 @@
+'use strict'
+
+const _ = require('lodash/fp')
+const winston = require('winston')
+
+const sinon = require('sinon')
+const chai = require('chai')
+chai.use(require('sinon-chai'))
+chai.use(require('chai-as-promised'))
+const expect = chai.expect
+
+const errors = require('./errors')
+const createFakeLibrato = require('./testing').createFakeLibrato
+
+describe('A fake Librato backend', () => {
+  const metric = name => ({ name, type: 'gauge', period: 60 })
+  const chart1 = { name: 'chart1', type: 'line', streams: [{ metric: 'router.bytes', source: '*' }] }
+  const chart2 = { name: 'chart2', type: 'stacked', streams: [{ metric: 'router.bytes', tags: [{ name: 'region', values: ['*'] }] }] }
+  const service1 = { type: 'mail', title: 'service1', settings: { addresses: 'ops@example.com' } }
+  const service2 = { type: 'slack', title: 'service2', settings: { url: 'https://hooks' } }
+  const condition = { type: 'above', metric_name: 'router.bytes', threshold: 10 }
+
+  let fake
+  let libratoApi
+  beforeEach(function * () {
+    fake = createFakeLibrato({
+      pageSize: 2,
+      metrics: _.map(metric, ['m1', 'm2', 'm3', 'x4', 'm5']),
+      sources: [{ name: 'host1' }],
+      services: [service1, service2],
+      spaces: [{ name: 'System', charts: [chart1] }, { name: 'System 2' }],
+      alerts: [{ name: 'alert1', conditions: [condition], services: ['service1'] }]
+    })
+    libratoApi = fake.createClient({ logger: sinon.stub(new (winston.Logger)()) })
+  })
+
+  it('should be seeded with initial contents', function * () {
+    expect(_.map('name', fake.state.metrics)).to.eql(['m1', 'm2', 'm3', 'x4', 'm5'])
+    expect(fake.state.services).to.have.lengthOf(2)
+    expect(fake.state.spaces).to.have.lengthOf(2)
+    expect(fake.state.charts[fake.state.spaces[0].id]).to.have.lengthOf(1)
+    expect(fake.state.alerts[0].services).to.eql([fake.state.services[0].id])
+    expect(fake.requests).to.eql([])
+  })
+
+  it('should fail on invalid initial contents', function * () {
+    expect(() => createFakeLibrato({ spaces: [{ charts: [] }] }))
+      .to.throw('invalid spaces in fake: {"errors":{"params":{"name":["is not present"]}}}')
+  })
+
+  it('should paginate and filter lists', function * () {
+    const page = yield libratoApi.getMetrics({ qs: { name: 'm', offset: 2 } })
+    expect(page).to.eql({
+      query: { offset: 2, length: 2, found: 4, total: 5 },
+      metrics: [metric('m3'), metric('m5')]
+    })
+    expect(yield libratoApi.getMetrics({ qs: { length: 1 } }))
+      .to.have.property('query').which.eql({ offset: 0, length: 1, found: 5, total: 5 })
+
+    const metrics = yield libratoApi.getAllMetrics()
+    expect(_.map('name', metrics)).to.eql(['m1', 'm2', 'm3', 'x4', 'm5'])
+    expect(fake.requests).to.have.lengthOf(5)
+    expect(fake.requests[2]).to.eql({ method: 'GET', path: 'metrics', qs: { offset: 0 }, body: undefined })
+  })
+
+  it('should find elements by name with typed errors', function * () {
+    expect(yield libratoApi.findSpaceByName('System')).to.include({ name: 'System' })
+    expect(yield libratoApi.findAlertByName('alert1')).to.have.nested.property('services[0].title', 'service1')
+    expect(yield libratoApi.findServiceByTitle('service2')).to.deep.include(service2)
+    yield expect(libratoApi.findSpaceByName('Sys')).to.eventually.be.rejectedWith(errors.NotFoundError)
+    yield expect(libratoApi.getSpace(999)).to.eventually.be.rejectedWith(errors.NotFoundError)
+      .and.to.have.property('error').which.eql({ errors: { request: ['Not Found'] } })
+    yield expect(libratoApi.apiRequest(['unknown'])).to.eventually.be.rejectedWith(errors.NotFoundError)
+  })
+
+  it('should create, update and dump spaces with charts', function * () {
+    const newSpace = { name: 'New Space', charts: [chart1, chart2] }
+    yield libratoApi.createOrUpdateSpace(newSpace)
+    expect(yield libratoApi.dumpSpace('New Space')).to.eql(newSpace)
+
+    const updatedSpace = { name: 'New Space', charts: [_.set('type', 'bignumber', chart2)] }
+    yield libratoApi.createOrUpdateSpace(updatedSpace)
+    expect(yield libratoApi.dumpSpace('New Space')).to.eql(updatedSpace)
+    expect(fake.state.spaces).to.have.lengthOf(3)
+  })
+
+  it('should report invalid charts', function * () {
+    const p = libratoApi.createOrUpdateSpace({
+      name: 'System',
+      charts: [{ name: 'chart1', streams: [{ source: '*' }] }, { name: 'chart3', type: 'pie' }]
+    })
+    yield expect(p).to.eventually.be.rejectedWith(errors.AggregateOperationError)
+      .and.to.have.property('errors').which.eql([
+        { chart: 'chart1', op: 'update', errors: { params: { streams: ['must have a metric or composite'] } } },
+        { chart: 'chart3', op: 'create', errors: { params: { type: ['is not included in the list'] } } }
+      ])
+  })
+
+  it('should support single space and chart calls', function * () {
+    const space = yield libratoApi.postSpace({ name: 'Another' })
+    yield libratoApi.putSpace(space.id, { name: 'Another One', id: 1, charts: [] })
+    expect(yield libratoApi.getSpace(space.id)).to.eql({ id: space.id, name: 'Another One' })
+    yield expect(libratoApi.putSpace(space.id, { name: '' })).to.eventually.be.rejectedWith(errors.ValidationError)
+    yield expect(libratoApi.postSpace()).to.eventually.be.rejectedWith(errors.ValidationError)
+
+    const chart = yield libratoApi.postChart(space.id, chart1)
+    expect(chart.streams[0].id).to.be.a('number')
+    yield libratoApi.postChart(space.id, chart2)
+    const updated = yield libratoApi.putChart(space.id, chart.id, _.set('name', 'renamed', chart))
+    expect(updated).to.eql(_.set('name', 'renamed', chart))
+    expect(yield libratoApi.getChart(space.id, chart.id)).to.eql(updated)
+    yield expect(libratoApi.putChart(space.id, chart.id, { name: '' }))
+      .to.eventually.be.rejectedWith(errors.ValidationError)
+      .and.to.have.property('params').which.eql({ name: ['is not present'] })
+    yield libratoApi.deleteChart(space.id, chart.id)
+    yield expect(libratoApi.getChart(space.id, chart.id)).to.eventually.be.rejectedWith(errors.NotFoundError)
+    yield expect(libratoApi.postChart(999, chart1)).to.eventually.be.rejectedWith(errors.NotFoundError)
+
+    yield libratoApi.postChart(space.id, chart1)
+    yield libratoApi.deleteSpace(space.id)
+    expect(fake.state.charts).to.not.have.property(String(space.id))
+    yield expect(libratoApi.getCharts(space.id)).to.eventually.be.rejectedWith(errors.NotFoundError)
+  })
+
+  it('should create and update alerts with services', function * () {
+    const newAlert = { name: 'alert2', conditions: [condition], services: ['service1', 'service2'] }
+    yield libratoApi.createOrUpdateAlert(newAlert)
+    const alert2 = yield libratoApi.findAlertByName('alert2')
+    expect(_.map('title', alert2.services)).to.eql(['service1', 'service2'])
+    expect(alert2).to.include({ active: true, rearm_seconds: 600 })
+
+    yield libratoApi.createOrUpdateAlert(_.set('services', ['service2'], newAlert))
+    expect(_.map('title', (yield libratoApi.getAlert(alert2.id)).services)).to.eql(['service2'])
+
+    // alerts as returned by the API can be put back
+    yield libratoApi.putAlert(alert2.id, _.set('description', 'updated', alert2))
+    expect(yield libratoApi.getAlert(alert2.id)).to.have.property('description', 'updated')
+
+    expect(yield libratoApi.getAlertsStatus()).to.eql({ firing: [], cleared: [] })
+    yield libratoApi.deleteAlert(alert2.id)
+    expect(yield libratoApi.getAllAlerts()).to.have.lengthOf(1)
+  })
+
+  it('should round-trip alerts and services between accounts', function * () {
+    const alert = yield libratoApi.dumpAlert('alert1')
+    const service = yield libratoApi.dumpService('service1')
+    expect(alert).to.eql({
+      name: 'alert1', conditions: [condition], services: ['service1'], active: true, rearm_seconds: 600
+    })
+    expect(service).to.eql(service1)
+
+    const otherApi = createFakeLibrato().createClient()
+    yield otherApi.createOrUpdateService(service)
+    yield otherApi.createOrUpdateAlert(alert)
+    expect(yield otherApi.dumpAlert('alert1')).to.eql(alert)
+  })
+
+  it('should validate alerts', function * () {
+    const alert1 = fake.state.alerts[0]
+    yield expect(libratoApi.postAlert({ name: 'alert1', conditions: [condition], services: [] }))
+      .to.eventually.be.rejectedWith(errors.ValidationError)
+      .and.to.have.property('params').which.eql({ name: ['has already been taken'] })
+    yield expect(libratoApi.postAlert())
+      .to.eventually.be.rejectedWith(errors.ValidationError)
+      .and.to.have.property('params').which.eql({ name: ['is not present'], conditions: ['is not present'] })
+    yield expect(libratoApi.putAlert(alert1.id, { services: [999] }))
+      .to.eventually.be.rejectedWith(errors.ValidationError)
+      .and.to.have.property('params').which.eql({ services: ['contains an unknown service'] })
+    yield libratoApi.putAlert(alert1.id, { name: 'alert1' })
+  })
+
+  it('should create, update and delete services', function * () {
+    yield libratoApi.createOrUpdateService(_.set('settings', { addresses: 'dev@example.com' }, service1))
+    yield libratoApi.createOrUpdateService(_.set('title', 'service3', service1))
+    expect(_.map('title', yield libratoApi.getAllServices())).to.eql(['service1', 'service2', 'service3'])
+    expect(yield libratoApi.getService(fake.state.services[0].id))
+      .to.have.nested.property('settings.addresses', 'dev@example.com')
+
+    yield expect(libratoApi.postService({ title: 'incomplete' }))
+      .to.eventually.be.rejectedWith(errors.ValidationError)
+      .and.to.have.property('params').which.eql({ type: ['is not present'], settings: ['is not present'] })
+    yield expect(libratoApi.postService()).to.eventually.be.rejectedWith(errors.ValidationError)
+    yield expect(libratoApi.putService(fake.state.services[0].id, { settings: null }))
+      .to.eventually.be.rejectedWith(errors.ValidationError)
+    yield libratoApi.deleteService(fake.state.services[2].id)
+    expect(fake.state.services).to.have.lengthOf(2)
+  })
+
+  it('should create, update and delete metrics', function * () {
+    yield libratoApi.putMetric('new', { type: 'counter' })
+    yield libratoApi.putMetric('new', { display_name: 'New' })
+    expect(yield libratoApi.getMetric('new')).to.eql({ name: 'new', type: 'counter', display_name: 'New' })
+    expect(yield libratoApi.getMetric('new', { qs: { duration: 60 } }))
+      .to.include({ name: 'new' }).and.to.have.property('measurements').which.eql({})
+    expect(yield libratoApi.getAllMeasurements('new', { qs: { start_time: 1 } }))
+      .to.have.property('measurements').which.eql({})
+
+    yield expect(libratoApi.putMetric('other', {})).to.eventually.be.rejectedWith(errors.ValidationError)
+      .and.to.have.property('params').which.eql({ type: ['is not present'] })
+    yield expect(libratoApi.putMetric('other'))
+      .to.eventually.be.rejectedWith(errors.ValidationError)
+    yield expect(libratoApi.putMetric('other', { type: 'composite' }))
+      .to.eventually.be.rejectedWith(errors.ValidationError)
+      .and.to.have.property('params').which.eql({ composite: ['is not present'] })
+    yield expect(libratoApi.putMetric('other', { type: 'histogram' }))
+      .to.eventually.be.rejectedWith(errors.ValidationError)
+      .and.to.have.property('params').which.eql({ type: ['is not included in the list'] })
+
+    yield libratoApi.deleteMetric('new')
+    yield expect(libratoApi.deleteMetric('new')).to.eventually.be.rejectedWith(errors.NotFoundError)
+  })
+
+  it('should create, update and delete sources', function * () {
+    yield libratoApi.putSource('host2', { display_name: 'Host 2' })
+    yield libratoApi.putSource('host1', { display_name: 'Host 1' })
+    expect(yield libratoApi.getAllSources({ qs: { name: 'HOST' } })).to.eql([
+      { name: 'host1', display_name: 'Host 1' },
+      { name: 'host2', display_name: 'Host 2' }
+    ])
+    yield libratoApi.putSource('host3')
+    expect(yield libratoApi.getSource('host3')).to.eql({ name: 'host3' })
+    yield libratoApi.deleteSource('host2')
+    yield expect(libratoApi.getSource('host2')).to.eventually.be.rejectedWith(errors.NotFoundError)
+  })
+
+  it('should serve paths without version and honour request options', function * () {
+    const response = yield fake.request({ url: 'http://fake/spaces', json: true, resolveWithFullResponse: true })
+    expect(response).to.have.property('statusCode', 200)
+    expect(response).to.have.nested.property('body.spaces').which.has.lengthOf(2)
+    expect(yield fake.request({ url: 'http://fake/v1/spaces/999', json: true, simple: false }))
+      .to.eql({ errors: { request: ['Not Found'] } })
+    yield expect(fake.request({ url: 'http://fake/v1/spaces', method: 'POST', body: 'no json' }))
+      .to.eventually.be.rejectedWith(SyntaxError)
+  })
+})
@@ -0,0 +1,179 @@
+'use strict'
+
+const _ = require('lodash/fp')  // note fp variant
+const EventEmitter = require('events')
+const errors = require('./errors')
+const http = require('http')
+const https = require('https')
+const url = require('url')
+
+/*
+ * A transport is a function taking request-promise style options and returning a Promise of
+ * the response body. The following options are supported by the transports in this module:
+ *   - url (string), method (string, default GET), headers (object)
+ *   - qs (object): query parameters, nested objects and arrays are serialized with brackets
+ *   - auth (object): user and pass for basic authentication, not sent if both are missing
+ *   - body: the request body, serialized to JSON if json is set
+ *   - json (boolean): send and accept JSON, parse the response body (undefined if empty)
+ *   - encoding (string): of the response body, null resolves with a Buffer
+ *   - resolveWithFullResponse (boolean): resolve with { statusCode, headers, body }
+ *   - simple (boolean): unless false, reject for non 2xx responses
+ *   - timeout (number): milliseconds until the request is aborted (https transport only)
+ *
+ * Non 2xx responses are rejected with a LibratoApiError matching the status code, carrying
+ * statusCode, error (the response body), options and response (including headers).
+ *
+ * Like request-promise the returned promise emits 'response' with the response before it
+ * resolves or rejects, so callers can see headers (e.g. rate limits) in any case.
+ */
+
+// serializes nested objects and arrays like the qs module used by request,
+// e.g. { tags: { region: 'us-*' } } to tags%5Bregion%5D=us-*
+const stringifyQuery = (query, prefix) => _.flatMap(key => {
+  const value = query[key]
+  const name = prefix ? `${prefix}[${key}]` : key
+  if (_.isNil(value)) { return [] }
+  if (_.isObject(value) && !_.isDate(value)) { return stringifyQuery(value, name) }
+  const text = _.isDate(value) ? value.toISOString() : value
+  return [`${encodeURIComponent(name)}=${encodeURIComponent(text)}`]
+}, _.keys(query))
+
+const buildUrl = options => {
+  const query = _.join('&', stringifyQuery(options.qs || {}))
+  const separator = _.includes('?', options.url) ? '&' : '?'
+  return query ? `${options.url}${separator}${query}` : options.url
+}
+
+const encodeBody = options =>
+  options.json && !_.isUndefined(options.body) && !Buffer.isBuffer(options.body)
+    ? JSON.stringify(options.body)
+    : options.body
+
+// e.g. the default auth of LibratoApi without LIBRATO_USER and LIBRATO_TOKEN set
+const hasCredentials = auth => !_.isNil(_.get('user', auth)) || !_.isNil(_.get('pass', auth))
+
+const basicAuth = auth => {
+  const credentials = `${_.getOr('', 'user', auth)}:${_.getOr('', 'pass', auth)}`
+  return `Basic ${Buffer.from(credentials).toString('base64')}`
+}
+
+const buildHeaders = (options, body) => _.assign(_.pickBy(_.negate(_.isUndefined), {
+  accept: options.json ? 'application/json' : undefined,
+  'content-type': options.json && !_.isUndefined(body) ? 'application/json' : undefined,
+  'content-length': _.isUndefined(body) ? undefined : Buffer.byteLength(body),
+  authorization: hasCredentials(options.auth) ? basicAuth(options.auth) : undefined
+}), options.headers)
+
+const decodeBody = (options, buffer) => {
+  if (options.encoding === null) { return buffer }
+  const text = buffer.toString(options.encoding || 'utf8')
+  if (!options.json) { return text }
+  // like request, e.g. for 204 No Content
+  if (text === '') { return undefined }
+  try {
+    return JSON.parse(text)
+  } catch (e) {
+    return text
+  }
+}
+
+const settle = (options, response) => {
+  if (!/^2/.test(String(response.statusCode)) && options.simple !== false) {
+    throw errors.fromResponse(response.statusCode, response.body, options, response)
+  }
+  return options.resolveWithFullResponse ? response : response.body
+}
+
+/*
+ * Create a transport from send, which takes the (merged) options, the serialized body and
+ * the headers, and returns a Promise of the raw response { statusCode, headers, body (Buffer) }.
+ */
+const createTransport = (send, defaults) => options => {
+  const o = _.merge(defaults || {}, options)
+  const body = encodeBody(o)
+  const events = new EventEmitter()
+  const promise = send(o, body, buildHeaders(o, body)).then(raw => {
+    const response = _.set('body', decodeBody(o, raw.body), raw)
+    events.emit('response', response)
+    return settle(o, response)
+  })
+  promise.on = (event, listener) => {
+    events.on(event, listener)
+    return promise
+  }
+  return promise
+}
+
+const sendWithHttps = (options, body, headers) => new Promise((resolve, reject) => {
+  const target = url.parse(buildUrl(options))
+  const request = (target.protocol === 'http:' ? http : https).request({
+    protocol: target.protocol,
+    hostname: target.hostname,
+    port: target.port,
+    path: target.path,
+    method: _.toUpper(options.method || 'GET'),
+    headers
+  })
+  request.on('response', response => {
+    const chunks = []
+    response.on('data', chunk => chunks.push(chunk))
+    response.on('end', () => resolve({
+      statusCode: response.statusCode,
+      headers: response.headers,
+      body: Buffer.concat(chunks)
+    }))
+    response.on('error', reject)
+  })
+  request.on('error', reject)
+  if (options.timeout) {
+    request.setTimeout(options.timeout, () => {
+      const error = new Error(`request timed out after ${options.timeout}ms`)
+      error.code = 'ETIMEDOUT'
+      reject(error)
+      request.abort()
+    })
+  }
+  request.end(body)
+})
+
+// fetch resolves with a Headers object (iterable with forEach), fetch-like clients may use objects
+const headersToObject = headers => {
+  if (!_.isFunction(headers.forEach)) { return _.mapKeys(_.toLower, headers) }
+  const result = {}
+  headers.forEach((value, name) => { result[_.toLower(name)] = value })
+  return result
+}
+
+const sendWithFetch = fetch => (options, body, headers) =>
+  fetch(buildUrl(options), { method: _.toUpper(options.method || 'GET'), headers, body })
+    .then(response => response.arrayBuffer().then(data => ({
+      statusCode: response.status,
+      headers: headersToObject(response.headers),
+      body: Buffer.from(data)
+    })))
+
+module.exports = {
+  /**
+   * The default transport using the native http(s) module of Node.js.
+   * The optional defaults are merged into the options of each request.
+   */
+  https: defaults => createTransport(sendWithHttps, defaults),
+
+  /**
+   * A transport using fetch (default: the global one) or a compatible client.
+   * The optional defaults are merged into the options of each request.
+   */
+  fetch: (fetch, defaults) => createTransport(sendWithFetch(fetch || global.fetch), defaults),
+
+  /**
+   * A transport using request-promise (or request-promise-native) given by the caller,
+   * which needs to be installed separately. This is how LibratoApi worked before transports.
+   */
+  requestPromise: requestPromise => options => requestPromise(options),
+
+  /**
+   * A transport based on a custom send function, see createTransport above. This is useful
+   * for test doubles (see testing.js), which get the same option handling and errors.
+   */
+  create: (send, defaults) => createTransport(send, defaults)
+}
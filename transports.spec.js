@@ -0,0 +1,221 @@
+'use strict'
+
+const http = require('http')
+
+const sinon = require('sinon')
+const chai = require('chai')
+chai.use(require('sinon-chai'))
+chai.use(require('chai-as-promised'))
+const expect = chai.expect
+
+const errors = require('./errors')
+const transports = require('./transports')
+
+describe('The https transport', () => {
+  // records requests and replies with the response set by the test
+  let server
+  let baseUrl
+  let received
+  let reply
+  before(function (done) {
+    server = http.createServer((req, res) => {
+      const chunks = []
+      req.on('data', chunk => chunks.push(chunk))
+      req.on('end', () => {
+        received = { method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks).toString() }
+        if (reply.delay) { return }
+        res.writeHead(reply.statusCode || 200, reply.headers || { 'content-type': 'application/json' })
+        res.end(reply.body)
+      })
+    })
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`
+      done()
+    })
+  })
+  after(function (done) {
+    server.close(done)
+  })
+  beforeEach(function * () {
+    received = undefined
+    reply = { body: '{"name":"foo"}' }
+  })
+
+  const transport = transports.https()
+
+  it('should do a JSON request with auth and query parameters', function * () {
+    const result = yield transport({
+      url: `${baseUrl}/v1/metrics`,
+      auth: { user: 'testuser', pass: 'testtoken' },
+      json: true,
+      qs: { offset: 200, tags: { region: 'us-*' }, names: ['a', 'b'], skipped: undefined }
+    })
+
+    expect(result).to.eql({ name: 'foo' })
+    expect(received.method).to.equal('GET')
+    expect(received.url).to.equal(
+      '/v1/metrics?offset=200&tags%5Bregion%5D=us-*&names%5B0%5D=a&names%5B1%5D=b'
+    )
+    expect(received.headers).to.include({
+      accept: 'application/json',
+      authorization: `Basic ${Buffer.from('testuser:testtoken').toString('base64')}`
+    })
+    expect(received.headers).to.not.have.property('content-type')
+  })
+
+  it('should send a JSON body', function * () {
+    yield transport({
+      url: `${baseUrl}/v1/spaces?x=1`,
+      method: 'post',
+      json: true,
+      body: { name: 'späce' },
+      qs: { at: new Date(0) }
+    })
+
+    expect(received).to.include({
+      method: 'POST',
+      url: '/v1/spaces?x=1&at=1970-01-01T00%3A00%3A00.000Z',
+      body: '{"name":"späce"}'
+    })
+    expect(received.headers).to.include({ 'content-type': 'application/json', 'content-length': '17' })
+  })
+
+  it('should not send authorization without credentials', function * () {
+    yield transport({ url: baseUrl, auth: { user: undefined, pass: undefined }, json: true })
+    expect(received.headers).to.not.have.property('authorization')
+
+    yield transport({ url: baseUrl, auth: { user: 'testuser' }, json: true })
+    expect(received.headers).to.have.property('authorization', `Basic ${Buffer.from('testuser:').toString('base64')}`)
+  })
+
+  it('should merge defaults and custom headers into the options', function * () {
+    const result = yield transports.https({ headers: { 'x-test': 'yes' }, json: true })({ url: baseUrl })
+    expect(result).to.eql({ name: 'foo' })
+    expect(received.headers).to.include({ 'x-test': 'yes' })
+  })
+
+  it('should resolve with text, invalid JSON or a Buffer', function * () {
+    reply = { body: 'not json', headers: { 'content-type': 'text/plain' } }
+    expect(yield transport({ url: baseUrl })).to.equal('not json')
+    expect(yield transport({ url: baseUrl, json: true })).to.equal('not json')
+    const buffer = yield transport({ url: baseUrl, encoding: null, body: Buffer.from('raw') })
+    expect(buffer).to.be.an.instanceof(Buffer)
+    expect(buffer.toString()).to.equal('not json')
+    expect(received.body).to.equal('raw')
+  })
+
+  it('should resolve with undefined for empty JSON bodies', function * () {
+    reply = { statusCode: 204, body: '', headers: {} }
+    expect(yield transport({ url: baseUrl, method: 'DELETE', json: true })).to.be.undefined
+    expect(yield transport({ url: baseUrl, method: 'DELETE' })).to.equal('')
+  })
+
+  it('should resolve with the full response and emit it before', function * () {
+    reply = { statusCode: 202, body: '{"id":1}', headers: { 'x-librato-ratelimit-std': 'remaining=3' } }
+    const listener = sinon.spy()
+    const result = yield transport({ url: baseUrl, json: true, resolveWithFullResponse: true })
+      .on('response', listener)
+
+    expect(result).to.include({ statusCode: 202 }).and.to.have.property('body').which.eql({ id: 1 })
+    expect(result.headers).to.include({ 'x-librato-ratelimit-std': 'remaining=3' })
+    expect(listener).to.have.been.calledOnce.and.calledWith(result)
+  })
+
+  it('should reject non 2xx responses with typed errors', function * () {
+    reply = { statusCode: 404, body: '{"errors":{"request":["not found"]}}', headers: { 'retry-after': '1' } }
+    const listener = sinon.spy()
+    const p = transport({ url: baseUrl, json: true }).on('response', listener)
+
+    yield expect(p).to.eventually.be.rejectedWith(errors.NotFoundError, '404 - {"errors":{"request":["not found"]}}')
+      .and.to.include({ statusCode: 404 })
+      .and.to.have.property('error').which.eql({ errors: { request: ['not found'] } })
+    yield p.catch(error => {
+      expect(error.response.headers).to.include({ 'retry-after': '1' })
+      expect(error.options).to.include({ url: baseUrl })
+    })
+    expect(listener).to.have.been.calledOnce
+  })
+
+  it('should resolve non 2xx responses unless simple', function * () {
+    reply = { statusCode: 500, body: 'oops' }
+    expect(yield transport({ url: baseUrl, simple: false })).to.equal('oops')
+  })
+
+  it('should time out', function * () {
+    reply = { delay: true }
+    yield expect(transport({ url: baseUrl, timeout: 20 }))
+      .to.eventually.be.rejectedWith('request timed out after 20ms')
+      .and.to.include({ code: 'ETIMEDOUT' })
+  })
+
+  it('should fail on connection errors', function * () {
+    // the test server does not speak TLS
+    yield expect(transport({ url: baseUrl.replace('http:', 'https:') }))
+      .to.eventually.be.rejectedWith(Error)
+  })
+})
+
+describe('The fetch transport', () => {
+  const fakeFetch = (status, body, headers) => sinon.stub().resolves({
+    status,
+    headers,
+    arrayBuffer: () => Promise.resolve(new Uint8Array(Buffer.from(body)).buffer)
+  })
+
+  it('should do a JSON request with fetch', function * () {
+    const headers = new Map([['Content-Type', 'application/json']])
+    const fetch = fakeFetch(200, '{"name":"foo"}', headers)
+    const listener = sinon.spy()
+
+    const result = yield transports.fetch(fetch)({
+      url: 'http://url/v1/spaces',
+      method: 'put',
+      auth: { user: 'u', pass: 'p' },
+      json: true,
+      qs: { x: 1 },
+      body: { name: 'bar' },
+      resolveWithFullResponse: true
+    }).on('response', listener)
+
+    expect(result).to.eql({ statusCode: 200, headers: { 'content-type': 'application/json' }, body: { name: 'foo' } })
+    expect(listener).to.have.been.calledWith(result)
+    expect(fetch).to.have.been.calledOnce.and.calledWith('http://url/v1/spaces?x=1', {
+      method: 'PUT',
+      headers: {
+        accept: 'application/json',
+        'content-type': 'application/json',
+        'content-length': 14,
+        authorization: `Basic ${Buffer.from('u:p').toString('base64')}`
+      },
+      body: '{"name":"bar"}'
+    })
+  })
+
+  it('should accept plain header objects and reject non 2xx responses', function * () {
+    const fetch = fakeFetch(429, 'slow down', { 'Retry-After': '2' })
+    const p = transports.fetch(fetch, { json: true })({ url: 'http://url' })
+    yield expect(p).to.eventually.be.rejectedWith(errors.RateLimitError)
+      .and.to.have.nested.property('response.headers').which.eql({ 'retry-after': '2' })
+  })
+
+  it('should use the global fetch by default', function * () {
+    const fetch = fakeFetch(200, 'ok', {})
+    const original = global.fetch
+    global.fetch = fetch
+    try {
+      expect(yield transports.fetch()({ url: 'http://url' })).to.equal('ok')
+    } finally {
+      global.fetch = original
+    }
+    expect(fetch).to.have.been.calledOnce
+  })
+})
+
+describe('The request-promise transport', () => {
+  it('should pass options to request-promise', function * () {
+    const requestPromise = sinon.stub().resolves({ name: 'foo' })
+    const result = yield transports.requestPromise(requestPromise)({ url: 'http://url', json: true })
+    expect(result).to.eql({ name: 'foo' })
+    expect(requestPromise).to.have.been.calledOnce.and.calledWithExactly({ url: 'http://url', json: true })
+  })
+})
@@ -0,0 +1,60 @@
+'use strict'
+
+const _ = require('lodash/fp')
+const fs = require('fs')
+
+const chai = require('chai')
+const expect = chai.expect
+
+const LibratoApi = require('./index')
+
+// keeps index.d.ts in line with the implementation by matching member names, while
+// npm run typecheck compiles the declarations with the usage examples in types.test-d.ts
+describe('The type definitions', () => {
+  const declarations = fs.readFileSync(`${__dirname}/index.d.ts`, 'utf8')
+
+  // members of an interface declared in index.d.ts, by their names
+  const declaredMembers = name => {
+    const body = declarations.match(new RegExp(`\\n  interface ${name} (?:extends [\\w, ]+ )?{\\n([\\s\\S]*?)\\n  }\\n`))
+    expect(body, `interface ${name}`).to.not.be.null
+    return _.flow(
+      _.split('\n'),
+      _.map(line => line.match(/^ {4}(?:readonly )?(\w+)\s*[(:<?]/)),
+      _.compact,
+      _.map(1)
+    )(body[1])
+  }
+  const publicMethods = _.flow(
+    Object.getOwnPropertyNames,
+    _.filter(name => name !== 'constructor' && !_.startsWith('_', name)),
+    _.filter(name => _.isFunction(LibratoApi.LibratoApi.prototype[name]))
+  )(LibratoApi.LibratoApi.prototype)
+
+  it('should declare all public methods of LibratoApi', function * () {
+    expect(declaredMembers('LibratoApi')).to.include.members(publicMethods)
+  })
+
+  it('should declare only existing members of LibratoApi', function * () {
+    const instance = new LibratoApi.LibratoApi()
+    _.forEach(name => {
+      expect(instance, name).to.have.property(name)
+    }, declaredMembers('LibratoApi'))
+  })
+
+  it('should declare the compositeDSL', function * () {
+    expect(declaredMembers('CompositeDSL')).to.have.members(_.keys(LibratoApi.compositeDSL))
+  })
+
+  it('should declare the errors, transports and validation', function * () {
+    expect(declaredMembers('Errors')).to.have.members(_.keys(LibratoApi.errors))
+    expect(declaredMembers('Transports')).to.have.members(_.keys(LibratoApi.transports))
+    expect(declaredMembers('Validation')).to.have.members(_.keys(LibratoApi.validation))
+  })
+
+  it('should declare documented constructor options', function * () {
+    const source = fs.readFileSync(`${__dirname}/index.js`, 'utf8')
+    _.forEach(name => {
+      expect(source, name).to.match(new RegExp(`\\n \\*   - ${name}\\b`))
+    }, declaredMembers('Options'))
+  })
+})
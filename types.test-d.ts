@@ -0,0 +1,127 @@
+// Usage of the type definitions, compiled with tsc by npm run typecheck
+
+import librato = require('./index')
+import testing = require('./testing')
+
+const logger: librato.Logger = console as any
+
+async function usage () {
+  const libratoApi = new librato.LibratoApi({
+    serviceUrl: 'https://metrics-api.librato.com/v1',
+    auth: { user: 'user', pass: 'token' },
+    logger,
+    request: librato.transports.https({ timeout: 10000 }),
+    scheduler: { concurrency: 10, reserve: 5 },
+    pagination: { concurrency: 4 },
+    retry: { maxAttempts: 3, baseDelay: 500, maxDelay: 30000, methods: ['GET', 'PUT'] },
+    jobs: { wait: true, interval: 1000, timeout: 300000 },
+    record: (recording: librato.Recording) => logger.debug(recording.requestId)
+  })
+
+  const page = await libratoApi.getMetrics({ qs: { offset: 200, limit: 100 } })
+  const names: string[] = page.metrics.map(metric => metric.name)
+  const found: number | undefined = page.query.found
+  const metrics: librato.Metric[] = await libratoApi.getAllMetrics()
+  await libratoApi.putMetric('customers', {
+    period: 3600,
+    attributes: { summarize_function: 'sum' }
+  })
+  const query = { tags: { region: 'us-*' }, duration: 3600 }
+  const measurements = await libratoApi.getAllTaggedMeasurements('router.bytes', query)
+  const values: number[] = measurements.series[0].measurements.map(m => m.value)
+  for await (const metric of libratoApi.iterateMetrics()) {
+    logger.info(metric.display_name)
+  }
+
+  const space: librato.SpaceDefinition = await libratoApi.dumpSpace('System')
+  await libratoApi.createOrUpdateSpace({ name: 'Copy', charts: space.charts })
+  const system = await libratoApi.findSpaceByName('System')
+  const chart: librato.Chart = await libratoApi.findChartByName(system.id as number, 'Dynos')
+  const pending = await libratoApi.postSnapshot({ subject: { chart: { id: chart.id as number } } })
+  const snapshot = await libratoApi.waitForSnapshot(pending)
+  const image: Buffer = await libratoApi.getSnapshotImage(snapshot)
+
+  const alert: librato.Alert = await libratoApi.dumpAlert('customers.dbsize.too_large')
+  await libratoApi.createOrUpdateAlert({
+    name: 'copy',
+    conditions: alert.conditions,
+    services: ['Developers List']
+  })
+  await libratoApi.apiRequest(['alerts', alert.id as number, 'clear'], { method: 'POST' })
+  await libratoApi.postAnnotation('deploys', {
+    title: 'v42',
+    links: [{ rel: 'github', href: 'https://github.com' }]
+  })
+
+  const dsl = libratoApi.compositeDSL
+  const composite: string = dsl.divide([dsl.s('m1', '%'), dsl.series('m2', '*', { period: 60 })])
+
+  const rawConfig: librato.RawConfig = await libratoApi.exportConfig({ splitMetrics: true })
+  const problems: librato.RawConfigProblem[] = librato.validation.validateRawConfig(rawConfig)
+  const outdated: librato.OutdatedConfig = {
+    metrics: [], spaces: [], alerts: [], services: [], sources: []
+  }
+  const config: librato.Config = {
+    metrics, spaces: [space], alerts: [alert], services: [], sources: [], outdated
+  }
+  const report: librato.ApplyReport = await libratoApi.applyConfig(config, { strict: true })
+  const plan: librato.Plan = await libratoApi.planConfig(config)
+  const driftReport = await libratoApi.checkDrift(config)
+  const drift: librato.DriftKind[] = driftReport.spaces.map(item => item.drift)
+  const prune = { prefixes: ['app.'], managed_by: 'ops' }
+  const unmanaged: librato.OutdatedConfig = await libratoApi.findUnmanaged(config, prune)
+
+  return { names, found, values, image, composite, problems, report, plan, drift, unmanaged }
+}
+
+async function errorHandling () {
+  try {
+    await librato.findSpaceByName('myspace')
+  } catch (err) {
+    if (err instanceof librato.errors.NotFoundError) { logger.info(err.statusCode) }
+    if (err instanceof librato.errors.ValidationError) { logger.info(err.params.name) }
+    if (err instanceof librato.errors.AggregateOperationError) { logger.info(err.errors.length) }
+  }
+  const body = { errors: { request: ['Not Found'] } }
+  const error: librato.LibratoApiError = librato.errors.fromResponse(404, body)
+  return new librato.errors.RateLimitError('too many requests', 429, error.error)
+}
+
+function transports () {
+  const fetchTransport: librato.Transport = librato.transports.fetch(undefined, { timeout: 1000 })
+  const custom: librato.Transport = librato.transports.create(
+    (options, body, headers) => Promise.resolve({
+      statusCode: 200,
+      headers: {},
+      body: Buffer.from(JSON.stringify({ options, body, headers }))
+    })
+  )
+  return [fetchTransport, custom]
+}
+
+async function fake () {
+  const fakeLibrato: testing.FakeLibrato = testing.createFakeLibrato({
+    pageSize: 2,
+    metrics: [{ name: 'system.dynos', type: 'gauge' }],
+    spaces: [{
+      name: 'System',
+      charts: [{ name: 'Dynos', streams: [{ metric: 'system.dynos', source: '*' }] }]
+    }],
+    services: [{
+      title: 'Developers List',
+      type: 'mail',
+      settings: { addresses: 'devs@example.com' }
+    }],
+    alerts: [{
+      name: 'dynos',
+      conditions: [{ type: 'above', metric_name: 'system.dynos', threshold: 10 }],
+      services: ['Developers List']
+    }]
+  })
+  const client = fakeLibrato.createClient({ logger })
+  await client.getAllSpaces()
+  const charts: librato.Chart[] = fakeLibrato.state.charts[fakeLibrato.state.spaces[0].id as number]
+  return { charts, requests: fakeLibrato.requests.map(r => `${r.method} ${r.path}`) }
+}
+
+export = { usage, errorHandling, transports, fake }
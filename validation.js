@@ -0,0 +1,188 @@
+'use strict'
+
+const _ = require('lodash/fp')  // note fp variant
+const Ajv = require('ajv')
+
+// JSON Schemas of config elements (see the schemas dir) by the config dir section they are in
+const schemas = {
+  metrics: require('./schemas/metric.json'),
+  spaces: require('./schemas/space.json'),
+  alerts: require('./schemas/alert.json'),
+  services: require('./schemas/service.json'),
+  sources: require('./schemas/source.json'),
+  outdated: require('./schemas/outdated.json'),
+  template_values: require('./schemas/template_values.json'),
+  prune: require('./schemas/prune.json')
+}
+// sections which are dirs of files with single elements or Arrays of them
+const dirSections = ['metrics', 'spaces', 'alerts', 'services', 'sources']
+
+const ajv = new Ajv({ allErrors: true, jsonPointers: true, verbose: true })
+// element schemas refer to the template values schema by its $id for __template_values__
+ajv.addSchema(schemas.template_values)
+const validators = _.mapValues(
+  schema => schema.$id ? ajv.getSchema(schema.$id) : ajv.compile(schema),
+  schemas
+)
+
+const escapePointer = _.flow(_.replace(/~/g, '~0'), _.replace(/\//g, '~1'))
+
+// problems as { pointer, message } from ajv errors, leaving out the errors of anyOf
+// alternatives, which are summarized by the description of the anyOf schema
+const toProblem = error => {
+  switch (error.keyword) {
+    case 'additionalProperties':
+      return {
+        pointer: `${error.dataPath}/${escapePointer(error.params.additionalProperty)}`,
+        message: 'is not allowed'
+      }
+    case 'anyOf':
+      return { pointer: error.dataPath, message: error.parentSchema.description }
+    case 'enum':
+      return {
+        pointer: error.dataPath,
+        message: `${error.message}: ${_.join(', ', error.params.allowedValues)}`
+      }
+    default:
+      return { pointer: error.dataPath, message: error.message }
+  }
+}
+const isAnyOfAlternative = error => /\/anyOf\/\d+\//.test(error.schemaPath)
+const validate = (section, data) => validators[section](data)
+  ? []
+  : _.map(toProblem, _.reject(isAnyOfAlternative, validators[section].errors))
+
+const prefixPointer = prefix => _.map(_.update('pointer', pointer => `${prefix}${pointer}`))
+
+// problems of a single file's contents in a dir section
+const validateElement = (section, contents) => i =>
+  prefixPointer(`/${i}`)(validate(section, contents[i]))
+const validateFile = (section, contents) => _.isArray(contents)
+  ? _.flatMap(validateElement(section, contents), _.range(0, contents.length))
+  : validate(section, contents)
+
+/**
+ * Validate a raw config as read from a config dir (see readConfigDir of the CLI tool) against
+ * the JSON Schemas in the schemas dir. Returns an Array of problems { file, pointer, message },
+ * where file is the path of the file in the config dir without extension, e.g. metrics/system,
+ * and pointer is a JSON Pointer into its contents. Unknown files are problems too.
+ */
+const validateRawConfig = rawConfig => _.flatMap(key => {
+  const withFile = file => _.map(_.assign({ file }))
+  if (_.includes(key, dirSections)) {
+    return _.flatMap(
+      file => withFile(`${key}/${file}`)(validateFile(key, rawConfig[key][file])),
+      _.keys(rawConfig[key])
+    )
+  }
+  return _.has(key, schemas)
+    ? withFile(key)(validate(key, rawConfig[key]))
+    : [{ file: key, pointer: '', message: 'is not a known config file or dir' }]
+}, _.keys(rawConfig))
+
+/**
+ * Validate a config as returned by _processRawConfig against the JSON Schemas in the schemas
+ * dir. Returns an Array of problems { pointer, message }, where pointer is a JSON Pointer into
+ * config, e.g. /metrics/0/attributes/summarize_fuction.
+ */
+const validateConfig = config => _.flatMap(key => {
+  const problems = key === 'outdated'
+    ? validate(key, config[key])
+    : validateFile(key, config[key])
+  return prefixPointer(`/${key}`)(problems)
+}, _.concat(dirSections, ['outdated']))
+
+// metric names of s("name", ...) or series("name", ...) in a composite expression
+const compositeSeriesNames = composite => _.map(
+  match => match.replace(/^[a-z]+\(\s*["']|["']$/g, ''),
+  composite.match(/\b(?:s|series)\(\s*("[^"]*"|'[^']*')/g)
+)
+
+// a predicate for names matching name, which may contain * wildcards
+const nameMatcher = name => {
+  if (!_.includes('*', name)) { return _.eq(name) }
+  const pattern = new RegExp(`^${_.join('.*', _.map(_.escapeRegExp, _.split('*', name)))}$`)
+  return other => pattern.test(other)
+}
+
+/**
+ * Check references between the elements of a config as returned by _processRawConfig: the
+ * metrics of chart streams, alert conditions and composite series (s("name", ...) in composite
+ * metrics and streams), and the services of alerts. Outdated elements count as unknown.
+ *
+ * Elements of the account which are not in the config, e.g. metrics created by submitting
+ * measurements, can be given as live, an object with optional Arrays of metrics and services.
+ * Without live services, services referenced by id are not checked.
+ *
+ * Returns an Array of problems { pointer, message } like validateConfig.
+ */
+const checkReferences = (config, live) => {
+  const l = live || {}
+  const outdated = _.defaults({ metrics: [], services: [] }, config.outdated)
+  const allMetrics = _.concat(config.metrics, l.metrics || [])
+  const metricNames = _.difference(_.map('name', allMetrics), outdated.metrics)
+  const allServices = _.concat(config.services, l.services || [])
+  const services = _.reject(s => _.includes(s.title, outdated.services), allServices)
+
+  const problem = (pointer, what, message) => ({ pointer, message: `${what} ${message}` })
+  const checkMetric = (pointer, what, name) => {
+    if (_.includes(name, outdated.metrics)) {
+      return [problem(pointer, what, `references outdated metric ${name}`)]
+    }
+    return _.some(nameMatcher(name), metricNames)
+      ? []
+      : [problem(pointer, what, `references unknown metric ${name}`)]
+  }
+  const checkComposite = (pointer, what, composite) =>
+    _.flatMap(name => checkMetric(pointer, what, name), compositeSeriesNames(composite))
+  const checkService = (pointer, what, titleOrId) => {
+    if (_.includes(titleOrId, outdated.services)) {
+      return [problem(pointer, what, `references outdated service ${titleOrId}`)]
+    }
+    // services by id are only known with live services
+    const known = _.isString(titleOrId)
+      ? _.some({ title: titleOrId }, services)
+      : !l.services || _.some({ id: titleOrId }, services)
+    return known ? [] : [problem(pointer, what, `references unknown service ${titleOrId}`)]
+  }
+  // problems of check(pointer, element) for each element of the Array obj[key]
+  const each = (pointer, key, obj, check) => {
+    const elements = obj[key] || []
+    return _.flatMap(i => check(`${pointer}/${key}/${i}`, elements[i]), _.range(0, elements.length))
+  }
+
+  const checkStream = what => (pointer, stream) => _.concat(
+    stream.metric ? checkMetric(`${pointer}/metric`, what, stream.metric) : [],
+    stream.composite ? checkComposite(`${pointer}/composite`, what, stream.composite) : []
+  )
+  const checkSpace = (pointer, space) => each(pointer, 'charts', space, (chartPointer, chart) =>
+    each(chartPointer, 'streams', chart, checkStream(`chart ${chart.name} of space ${space.name}`))
+  )
+  const checkAlert = (pointer, alert) => {
+    const what = `alert ${alert.name}`
+    const checkCondition = (conditionPointer, condition) =>
+      checkMetric(`${conditionPointer}/metric_name`, what, condition.metric_name)
+    const checkAlertService = (servicePointer, service) =>
+      checkService(servicePointer, what, service)
+    return _.concat(
+      each(pointer, 'conditions', alert, checkCondition),
+      each(pointer, 'services', alert, checkAlertService)
+    )
+  }
+  const checkCompositeMetric = (pointer, metric) => metric.composite
+    ? checkComposite(`${pointer}/composite`, `metric ${metric.name}`, metric.composite)
+    : []
+
+  return _.flatten([
+    each('', 'metrics', config, checkCompositeMetric),
+    each('', 'spaces', config, checkSpace),
+    each('', 'alerts', config, checkAlert)
+  ])
+}
+
+module.exports = {
+  schemas,
+  validateRawConfig,
+  validateConfig,
+  checkReferences
+}
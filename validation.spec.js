@@ -0,0 +1,139 @@
+'use strict'
+
+const _ = require('lodash/fp')
+const requireDir = require('require-dir')
+
+const chai = require('chai')
+const expect = chai.expect
+
+const validation = require('./validation')
+
+describe('The config validation', () => {
+  const exampleConfig = requireDir('./example-config', { recurse: true })
+  const processedExampleConfig = require('./example-config-processed')
+
+  it('should accept the example config', function * () {
+    expect(validation.validateRawConfig(exampleConfig)).to.eql([])
+    expect(validation.validateConfig(processedExampleConfig)).to.eql([])
+  })
+
+  it('should report problems with their file and JSON Pointer', function * () {
+    const rawConfig = _.flow(
+      _.set('metrics.system.attributes.summarize_fuction', 'max'),
+      _.set('metrics.customers[1].period', '1h'),
+      _.set('spaces.system.charts[0].streams[1]', { source: '*' }),
+      _.set('alerts.customers[0].conditions[0].type', 'over'),
+      _.set(['services', 'developers', 'a/b~c'], 'x'),
+      _.set('outdated.metric', ['test1']),
+      _.set('outdate', { metrics: [] })
+    )(exampleConfig)
+
+    expect(validation.validateRawConfig(rawConfig)).to.eql([
+      { file: 'alerts/customers', pointer: '/0/conditions/0/type', message: 'should be equal to one of the allowed values: above, below, absent' },
+      { file: 'metrics/customers', pointer: '/1/period', message: 'should be integer,null' },
+      { file: 'metrics/system', pointer: '/attributes/summarize_fuction', message: 'is not allowed' },
+      { file: 'outdated', pointer: '/metric', message: 'is not allowed' },
+      { file: 'services/developers', pointer: '/a~1b~0c', message: 'is not allowed' },
+      { file: 'spaces/system', pointer: '/charts/0/streams/1', message: 'should have a metric or composite' },
+      { file: 'outdate', pointer: '', message: 'is not a known config file or dir' }
+    ])
+  })
+
+  it('should report missing properties', function * () {
+    const rawConfig = {
+      metrics: { m: { type: 'gauge', __template_values__: { x: 'a', __derived__: { y: 1 } } } },
+      alerts: { a: [{ name: 'a', conditions: [{ type: 'absent' }] }] },
+      services: { s: { title: 'S' } },
+      sources: { s: [{ display_name: 'S' }] },
+      template_values: { x: 'a' },
+      prune: { prefixes: 'a', owned: { space: [] } }
+    }
+    expect(validation.validateRawConfig(rawConfig)).to.eql([
+      { file: 'metrics/m', pointer: '', message: 'should have required property \'name\'' },
+      { file: 'metrics/m', pointer: '/__template_values__/x', message: 'should be array' },
+      { file: 'metrics/m', pointer: '/__template_values__/__derived__/y', message: 'should be string' },
+      { file: 'alerts/a', pointer: '/0/conditions/0', message: 'should have required property \'metric_name\'' },
+      { file: 'services/s', pointer: '', message: 'should have required property \'type\'' },
+      { file: 'services/s', pointer: '', message: 'should have required property \'settings\'' },
+      { file: 'sources/s', pointer: '/0', message: 'should have required property \'name\'' },
+      { file: 'template_values', pointer: '/x', message: 'should be array' },
+      { file: 'prune', pointer: '/prefixes', message: 'should be array' },
+      { file: 'prune', pointer: '/owned/space', message: 'is not allowed' }
+    ])
+  })
+
+  it('should validate processed configs with JSON Pointers into them', function * () {
+    const config = _.set('spaces[0].charts[2].type', 'pie', processedExampleConfig)
+    expect(validation.validateConfig(config)).to.eql([{
+      pointer: '/spaces/0/charts/2/type',
+      message: 'should be equal to one of the allowed values: line, stacked, bignumber'
+    }])
+  })
+
+  it('should provide the schemas', function * () {
+    expect(_.keys(validation.schemas)).to.eql([
+      'metrics', 'spaces', 'alerts', 'services', 'sources', 'outdated', 'template_values', 'prune'
+    ])
+    expect(validation.schemas.metrics).to.have.property('title', 'Metric')
+  })
+
+  describe('(references)', () => {
+    const metric = name => ({ name, type: 'gauge' })
+    const stream = (metric, composite) => _.omitBy(_.isUndefined, { metric, composite })
+    const config = {
+      metrics: [
+        metric('m1'),
+        metric('app.m2'),
+        { name: 'c1', type: 'composite', composite: 'divide([s("m1", "%"), series(\'gone\', "*")])' },
+        metric('gone')
+      ],
+      spaces: [{
+        name: 'Space',
+        charts: [
+          { name: 'Chart', streams: [stream('m1'), stream('dynoz'), stream('app.*'), stream('x.*')] },
+          { name: 'Composite', streams: [stream(undefined, 's("m3", "%")')] },
+          { name: 'Empty' }
+        ]
+      }],
+      alerts: [{
+        name: 'Alert',
+        conditions: [{ type: 'above', metric_name: 'c1' }, { type: 'absent', metric_name: 'm4' }],
+        services: ['Ops', 'Devs', 'Old', 7]
+      }],
+      services: [{ title: 'Ops' }],
+      sources: [],
+      outdated: { metrics: ['gone'], spaces: [], alerts: [], services: ['Old'], sources: [] }
+    }
+
+    it('should report references to unknown and outdated elements', function * () {
+      expect(validation.checkReferences(config)).to.eql([
+        { pointer: '/metrics/2/composite', message: 'metric c1 references outdated metric gone' },
+        { pointer: '/spaces/0/charts/0/streams/1/metric', message: 'chart Chart of space Space references unknown metric dynoz' },
+        { pointer: '/spaces/0/charts/0/streams/3/metric', message: 'chart Chart of space Space references unknown metric x.*' },
+        { pointer: '/spaces/0/charts/1/streams/0/composite', message: 'chart Composite of space Space references unknown metric m3' },
+        { pointer: '/alerts/0/conditions/1/metric_name', message: 'alert Alert references unknown metric m4' },
+        { pointer: '/alerts/0/services/1', message: 'alert Alert references unknown service Devs' },
+        { pointer: '/alerts/0/services/2', message: 'alert Alert references outdated service Old' }
+      ])
+    })
+
+    it('should accept live metrics and services', function * () {
+      const live = { metrics: [metric('dynoz'), metric('m3'), metric('gone')], services: [{ id: 7, title: 'Devs' }] }
+      expect(_.map('message', validation.checkReferences(config, live))).to.eql([
+        'metric c1 references outdated metric gone',
+        'chart Chart of space Space references unknown metric x.*',
+        'alert Alert references unknown metric m4',
+        'alert Alert references outdated service Old'
+      ])
+      expect(_.last(validation.checkReferences(config, { services: [] })))
+        .to.eql({ pointer: '/alerts/0/services/3', message: 'alert Alert references unknown service 7' })
+    })
+
+    it('should check configs without outdated elements', function * () {
+      expect(_.map('message', validation.checkReferences(_.omit('outdated', config)))).to.include.members([
+        'chart Chart of space Space references unknown metric dynoz',
+        'alert Alert references unknown service Old'
+      ]).and.to.have.lengthOf(6)
+    })
+  })
+})